@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+// scripts/sweep.js
+// Headless block-size sweep over PNG/PGM/PPM files, the same sweep as the
+// page's "Run Sweep" buttons. The library is loaded through Vite's SSR
+// module loader, so src/lib runs unchanged in Node.
+//
+//   npm run sweep -- [options] image.png [more images...]
+//
+// Several images give the corpus export: per-image rows, means over images
+// with 95% confidence intervals, and transform rankings. Every export ends
+// with the pairwise BD-rate / BD-PSNR table.
+import { readFile, writeFile } from "node:fs/promises";
+import { dirname, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+import { createServer } from "vite";
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), "..");
+
+const USAGE = `Usage: npm run sweep -- [options] <image>...
+
+Options:
+  --block-sizes <list>   block sizes B (default 4,8,16,32)
+  --k-fractions <list>   kept fractions of the B×B coefficients
+                         (default 0.05,0.1,0.2,0.3,0.5,0.75,1)
+  --k-values <list>      explicit k values instead of --k-fractions
+  --transforms <list>    transform ids to measure (default: all), from
+                         <ids>
+  --metrics <list>       metrics besides PSNR (default: none), from
+                         <metrics>
+  --allocation <mode>    block | global | energy | zonal-zigzag |
+                         zonal-triangle | zonal-variance (default block)
+  --quantizer <name>     uniform | deadzone: sweep the quality factor with
+                         this quantizer instead of k
+  --pad <mode>           zero | edge | symmetric (default edge)
+  --format <csv|json>    output format (default: from --output, else csv)
+  -o, --output <file>    write to a file instead of stdout
+  -h, --help             show this help`;
+
+const list = (value, parse) =>
+  value.split(",").map((v) => {
+    const x = parse(v.trim());
+    if (Number.isNaN(x)) throw new Error(`Invalid list entry "${v}"`);
+    return x;
+  });
+
+function fail(message) {
+  process.stderr.write(`${message}\n`);
+  process.exit(1);
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      "block-sizes": { type: "string", default: "4,8,16,32" },
+      "k-fractions": {
+        type: "string",
+        default: "0.05,0.1,0.2,0.3,0.5,0.75,1",
+      },
+      "k-values": { type: "string" },
+      transforms: { type: "string" },
+      metrics: { type: "string" },
+      allocation: { type: "string", default: "block" },
+      quantizer: { type: "string" },
+      pad: { type: "string", default: "edge" },
+      format: { type: "string" },
+      output: { type: "string", short: "o" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+
+  const server = await createServer({
+    root: ROOT,
+    configFile: false,
+    logLevel: "error",
+    appType: "custom",
+    server: { middlewareMode: true, hmr: false, ws: false },
+    optimizeDeps: { noDiscovery: true, include: [] },
+  });
+  try {
+    const load = (path) => server.ssrLoadModule(path);
+    const { RD_QUALITY_VALUES, ENERGY_TARGETS, EXTRA_METRIC_KEYS } = await load(
+      "/src/lib/analysis.js"
+    );
+    const { runCorpusSweepJS, corpusSweepCsvJS } = await load(
+      "/src/lib/corpusSweep.js"
+    );
+    const { ALL_TRANSFORMS } = await load("/src/lib/transformCatalog.js");
+    const { ZONAL_MASKS } = await load("/src/lib/zonal.js");
+    const { PAD_MODES, imageDataToFloatJS } = await load(
+      "/src/lib/imageUtils.js"
+    );
+    const { decodeImageJS } = await load("/src/lib/imageDecoders.js");
+
+    const ids = ALL_TRANSFORMS.map((t) => t.id);
+    if (values.help || !positionals.length) {
+      process.stdout.write(
+        USAGE.replace("<ids>", ids.join(",")).replace(
+          "<metrics>",
+          EXTRA_METRIC_KEYS.join(",")
+        ) + "\n"
+      );
+      return;
+    }
+
+    const blockSizes = list(values["block-sizes"], (v) => parseInt(v, 10));
+    const kFractions = list(values["k-fractions"], Number);
+    const kValues = values["k-values"]
+      ? list(values["k-values"], (v) => parseInt(v, 10))
+      : null;
+    const transforms = values.transforms
+      ? list(values.transforms, String)
+      : null;
+    const unknown = (transforms || []).filter((id) => !ids.includes(id));
+    if (unknown.length) fail(`Unknown transform(s): ${unknown.join(", ")}`);
+    const metrics = values.metrics ? list(values.metrics, String) : [];
+    const unknownMetrics = metrics.filter(
+      (key) => !EXTRA_METRIC_KEYS.includes(key)
+    );
+    if (unknownMetrics.length) {
+      fail(`Unknown metric(s): ${unknownMetrics.join(", ")}`);
+    }
+    const allocations = [
+      "block",
+      "global",
+      "energy",
+      ...Object.keys(ZONAL_MASKS),
+    ];
+    if (!allocations.includes(values.allocation)) {
+      fail(`Unknown allocation "${values.allocation}"`);
+    }
+    if (!PAD_MODES.includes(values.pad)) {
+      fail(`Unknown pad mode "${values.pad}"`);
+    }
+    if (
+      values.quantizer &&
+      !["uniform", "deadzone"].includes(values.quantizer)
+    ) {
+      fail(`Unknown quantizer "${values.quantizer}"`);
+    }
+    const format =
+      values.format || (values.output?.endsWith(".json") ? "json" : "csv");
+    if (!["csv", "json"].includes(format)) fail(`Unknown format "${format}"`);
+
+    const images = [];
+    for (const path of positionals) {
+      const decoded = decodeImageJS(new Uint8Array(await readFile(path)));
+      const { width, height, gray } = imageDataToFloatJS(decoded);
+      images.push({ name: path, width, height, gray });
+    }
+
+    const progress = process.stderr.isTTY
+      ? ({ message, fraction }) =>
+          process.stderr.write(
+            `\r\x1b[K${(fraction * 100).toFixed(0).padStart(3)}% ${message}`
+          )
+      : () => {};
+    const result = runCorpusSweepJS(
+      images,
+      {
+        blockSizes,
+        kFractions,
+        kValues,
+        quant: values.quantizer
+          ? { quantizer: values.quantizer, qualities: RD_QUALITY_VALUES }
+          : null,
+        allocation: values.allocation,
+        energyTargets: ENERGY_TARGETS,
+        padMode: values.pad,
+        transforms,
+        metrics,
+      },
+      progress
+    );
+    if (process.stderr.isTTY) process.stderr.write("\r\x1b[K");
+
+    const text =
+      format === "json"
+        ? JSON.stringify(result, null, 1)
+        : corpusSweepCsvJS(result);
+    if (values.output) {
+      await writeFile(values.output, text + "\n");
+      process.stderr.write(
+        `Wrote ${result.results.length} rows for ${images.length} image(s) to ${values.output}\n`
+      );
+    } else {
+      process.stdout.write(text + "\n");
+    }
+  } finally {
+    await server.close();
+  }
+}
+
+main().catch((err) => fail(err.message));
@@ -1,4 +1,4 @@
-import React, { useState, useRef, useCallback } from "react";
+import React, { useState, useRef, useCallback, useEffect } from "react";
 import {
   Chart,
   LineElement,
@@ -11,7 +11,13 @@ import {
 } from "chart.js";
 
 import "./App.css";
-import * as numericModule from "numeric";
+import ErrorMaps from "./components/ErrorMaps";
+import CoefficientStats from "./components/CoefficientStats";
+import BasisGallery from "./components/BasisGallery";
+import BlockInspector from "./components/BlockInspector";
+import CorpusSweep from "./components/CorpusSweep";
+import SweepResults from "./components/SweepResults";
+import BjontegaardTable from "./components/BjontegaardTable";
 
 Chart.register(
   LineElement,
@@ -25,116 +31,351 @@ Chart.register(
 
 import {
   toGrayscaleFloat,
+  toRGBFloat,
   drawGrayToCanvas,
-  extractBlocksJS,
-  reconstructFromBlocksJS,
+  drawRGBToCanvas,
+  drawModeMapToCanvas,
+  drawBlockGridOverlay,
+  drawBlockSelectionOverlay,
 } from "./lib/imageUtils";
 
+import { psnrJS } from "./lib/transforms";
+
+import { METRICS } from "./lib/metrics";
+import { ZONAL_MASKS, isZonalAllocationJS } from "./lib/zonal";
+
+import {
+  TRANSFORM_IDS,
+  encodeCompressedJS,
+  decodeCompressedJS,
+} from "./lib/codec";
+
+import {
+  RD_QUALITY_VALUES,
+  EXTRA_METRIC_KEYS,
+  ENERGY_TARGETS,
+} from "./lib/analysis";
+
 import {
-  psnrJS,
-  dctMatrixJS,
-  hadamardMatrixJS,
-  kron2DFrom1DJS,
-  pcaTransformJS,
-  transformBlocksJS,
-  inverseTransformBlocksJS,
-  keepTopK,
-  energyCompactionCurveJS,
-  rateDistortionJS,
-} from "./lib/transforms";
-
-// Create a local alias AND a global one
-const numeric = numericModule;
-
-if (typeof window !== "undefined") {
-  window.numeric = numericModule;
+  FIXED_TRANSFORMS,
+  ALL_TRANSFORMS,
+  CORPUS_PCA_TRANSFORM,
+} from "./lib/transformCatalog";
+
+import { MAX_WAVELET_LEVELS } from "./lib/wavelet";
+
+import { serializePcaModelJS, parsePcaModelJS } from "./lib/pcaCorpus";
+
+import {
+  createAnalysisWorkerClient,
+  createLiveKClient,
+} from "./lib/workerClient";
+
+function loadImageFile(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(img);
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("Could not read " + file.name));
+    };
+    img.src = url;
+  });
 }
 
-async function runSweepForCurrentImage({
-  imgEl,
-  hiddenCanvas,
-  blockSizes = [4, 8, 16, 32],
-  kFractions = [0.05, 0.1, 0.2, 0.3, 0.5, 0.75, 1.0],
-}) {
-  const results = [];
+// Copies of the image planes for the worker. The copies' buffers are
+// transferred, so the loaded image stays usable on the main thread.
+function imagePayload({ width, height, gray, rgb, subsampling }) {
+  const image = { width, height, gray: gray.slice() };
+  const transfer = [image.gray.buffer];
+  if (rgb) {
+    image.rgb = { r: rgb.r.slice(), g: rgb.g.slice(), b: rgb.b.slice() };
+    image.subsampling = subsampling;
+    transfer.push(image.rgb.r.buffer, image.rgb.g.buffer, image.rgb.b.buffer);
+  }
+  return { image, transfer };
+}
 
-  for (const B of blockSizes) {
-    const imgData = toGrayscaleFloat(imgEl, B, hiddenCanvas);
-    const { width, height, gray } = imgData;
-    const { blocks, shape } = extractBlocksJS(gray, width, height, B);
-    const d = B * B;
+function drawEnergyChart(canvas, chartRef, energy) {
+  if (chartRef.current) {
+    chartRef.current.destroy();
+  }
+  chartRef.current = new Chart(canvas.getContext("2d"), {
+    type: "line",
+    data: {
+      labels: energy.fracK,
+      datasets: energy.series.map((s) => ({
+        label: s.label,
+        data: s.avgFrac,
+        borderColor: s.color,
+        tension: 0.2,
+      })),
+    },
+    options: {
+      responsive: true,
+      plugins: {
+        legend: { labels: { color: "#e5e7eb" } },
+      },
+      scales: {
+        x: {
+          title: {
+            display: true,
+            text: "k / d",
+            color: "#9ca3af",
+          },
+          ticks: { color: "#9ca3af" },
+          grid: { color: "#1f2937" },
+        },
+        y: {
+          title: {
+            display: true,
+            text: "Average energy fraction",
+            color: "#9ca3af",
+          },
+          min: 0,
+          max: 1,
+          ticks: { color: "#9ca3af" },
+          grid: { color: "#1f2937" },
+        },
+      },
+    },
+  });
+}
 
-    const C1d = dctMatrixJS(B);
-    const T_dct = kron2DFrom1DJS(C1d);
+// Where each RD curve passes the live k: linear interpolation between the
+// two swept parameters around it. marker: { params, k }
+function rdMarkerPoints(series, metricKey, { params, k }) {
+  const i = Math.max(
+    0,
+    Math.min(params.length - 2, params.findLastIndex((p) => p <= k))
+  );
+  const t = Math.max(
+    0,
+    Math.min(1, (k - params[i]) / (params[i + 1] - params[i] || 1))
+  );
+  const lerp = (arr) => arr[i] + t * (arr[i + 1] - arr[i]);
+  return series.map((s) => ({
+    x: lerp(s.rates),
+    y: lerp(s.values[metricKey]),
+  }));
+}
 
-    const H1d = hadamardMatrixJS(B);
-    const T_had = kron2DFrom1DJS(H1d);
+function rdMarkerDataset(series, metricKey, marker) {
+  return {
+    label: `k = ${marker.k}`,
+    data: rdMarkerPoints(series, metricKey, marker),
+    showLine: false,
+    pointStyle: "crossRot",
+    pointRadius: 8,
+    pointBorderWidth: 2,
+    borderColor: "#e5e7eb",
+    pointBorderColor: series.map((s) => s.color),
+  };
+}
 
-    const { T: T_pca, mean: pcaMean } = pcaTransformJS(blocks);
-    const kValues = kFractions.map((f) => Math.max(1, Math.round(f * d)));
+// Swaps the marker dataset (drawn last) without rebuilding the chart
+function updateRdMarker(chart, series, metricKey, marker) {
+  if (!chart || !series) return;
+  const metric = METRICS.find((m) => m.key === metricKey) || METRICS[0];
+  chart.data.datasets[series.length] = rdMarkerDataset(
+    series,
+    metric.key,
+    marker
+  );
+  chart.update("none");
+}
 
-    const rdDCT = rateDistortionJS(
-      gray,
-      width,
-      height,
-      blocks,
-      shape,
-      T_dct,
-      null,
-      kValues
-    );
-    const rdHAD = rateDistortionJS(
-      gray,
-      width,
-      height,
-      blocks,
-      shape,
-      T_had,
-      null,
-      kValues
-    );
-    const rdPCA = rateDistortionJS(
-      gray,
-      width,
-      height,
-      blocks,
-      shape,
-      T_pca,
-      pcaMean,
-      kValues
-    );
+function drawRdChart(canvas, chartRef, series, metricKey, marker = null) {
+  if (!canvas || !series) return;
+  const metric = METRICS.find((m) => m.key === metricKey) || METRICS[0];
+  if (chartRef.current) {
+    chartRef.current.destroy();
+    chartRef.current = null;
+  }
+  // Only the metrics the analysis measured along the curves can be plotted
+  if (series.some((s) => !s.values[metric.key])) return;
+  const datasets = series.map((s) => ({
+    label: s.label,
+    data: s.rates.map((r, j) => ({ x: r, y: s.values[metric.key][j] })),
+    borderColor: s.color,
+    borderDash: s.dashed ? [6, 4] : [],
+    tension: 0.2,
+  }));
+  if (marker) datasets.push(rdMarkerDataset(series, metric.key, marker));
+  chartRef.current = new Chart(canvas.getContext("2d"), {
+    type: "line",
+    data: { datasets },
+    options: {
+      responsive: true,
+      plugins: {
+        legend: { labels: { color: "#e5e7eb" } },
+      },
+      scales: {
+        x: {
+          type: "linear",
+          title: {
+            display: true,
+            text: "Rate (bits per pixel, entropy-coded)",
+            color: "#9ca3af",
+          },
+          ticks: { color: "#9ca3af" },
+          grid: { color: "#1f2937" },
+        },
+        y: {
+          title: { display: true, text: metric.label, color: "#9ca3af" },
+          ticks: { color: "#9ca3af" },
+          grid: { color: "#1f2937" },
+        },
+      },
+    },
+  });
+}
 
-    for (let i = 0; i < kValues.length; i++) {
-      const k = kValues[i];
-      const rate = k / d;
+// Blocks by number of nonzero coefficients, one stepped line per method
+function drawHistogramChart(canvas, chartRef, results) {
+  if (!canvas || !results) return;
+  if (chartRef.current) {
+    chartRef.current.destroy();
+  }
+  const colors = Object.fromEntries(
+    [...ALL_TRANSFORMS, CORPUS_PCA_TRANSFORM].map((t) => [t.id, t.color])
+  );
+  chartRef.current = new Chart(canvas.getContext("2d"), {
+    type: "line",
+    data: {
+      datasets: results.map((r) => ({
+        label: r.label,
+        data: r.keptHistogram.map((n, c) => ({ x: c, y: n })),
+        borderColor: colors[r.id] || "#e5e7eb",
+        stepped: "middle",
+        pointRadius: 0,
+      })),
+    },
+    options: {
+      responsive: true,
+      plugins: {
+        legend: { labels: { color: "#e5e7eb" } },
+      },
+      scales: {
+        x: {
+          type: "linear",
+          title: {
+            display: true,
+            text: "Nonzero coefficients in the block",
+            color: "#9ca3af",
+          },
+          ticks: { color: "#9ca3af" },
+          grid: { color: "#1f2937" },
+        },
+        y: {
+          title: { display: true, text: "Blocks", color: "#9ca3af" },
+          ticks: { color: "#9ca3af" },
+          grid: { color: "#1f2937" },
+        },
+      },
+    },
+  });
+}
 
-      results.push({
-        blockSize: B,
-        k,
-        rate,
-        transform: "DCT",
-        psnr: rdDCT.psnrs[i],
-      });
-      results.push({
-        blockSize: B,
-        k,
-        rate,
-        transform: "Hadamard",
-        psnr: rdHAD.psnrs[i],
-      });
-      results.push({
-        blockSize: B,
-        k,
-        rate,
-        transform: "PCA",
-        psnr: rdPCA.psnrs[i],
-      });
-    }
+// Quiet time after the last slider move before the live k is entropy coded
+const LIVE_SETTLE_MS = 250;
+
+// The coefficient selection a .tvc header records
+function fileSelectionLabel({ mode, quantizer, param }) {
+  if (mode === "quant") return `${quantizer} quantizer, quality ${param}`;
+  if (mode === "energy") return `energy target ${(param / 10).toFixed(1)}%`;
+  if (mode === "global") return `global budget, K = ${param} × blocks`;
+  const zonal = ZONAL_MASKS[mode];
+  return `${zonal ? zonal.label + ", " : ""}k = ${param}`;
+}
+
+// Top-k allocation (or zonal mask) for a coefficient-selection mode
+const allocationFor = (selectionMode) =>
+  selectionMode === "global" ||
+  selectionMode === "energy" ||
+  isZonalAllocationJS(selectionMode)
+    ? selectionMode
+    : "block";
+
+// What the sweep designer starts with
+const DEFAULT_SWEEP_DESIGN = {
+  blockSizes: "4, 8, 16, 32",
+  kMode: "fractions",
+  kFractions: "0.05, 0.1, 0.2, 0.3, 0.5, 0.75, 1",
+  kValues: "1, 2, 4, 8, 16, 32",
+  transforms: ALL_TRANSFORMS.map((t) => t.id),
+  metrics: [],
+};
+
+// Distinct numbers from a comma- or space-separated list, ascending; throws
+// when an entry is not a number or fails `valid`.
+function parseNumberList(text, what, valid) {
+  const values = text.split(/[\s,]+/).filter(Boolean).map(Number);
+  if (!values.length || !values.every(valid)) {
+    throw new Error(`Invalid ${what}: "${text}"`);
+  }
+  return [...new Set(values)].sort((a, b) => a - b);
+}
 
-    await new Promise((res) => setTimeout(res, 0));
+// Sweep settings shared by the single-image and the corpus sweep, from the
+// sweep designer
+function sweepOptions(design, selectionMode, quantizer, padMode) {
+  if (!design.transforms.length) {
+    throw new Error("Choose at least one transform to sweep");
   }
+  const k =
+    design.kMode === "values"
+      ? {
+          kValues: parseNumberList(
+            design.kValues,
+            "k values",
+            (v) => Number.isInteger(v) && v >= 1
+          ),
+        }
+      : {
+          kFractions: parseNumberList(
+            design.kFractions,
+            "k fractions",
+            (v) => v > 0 && v <= 1
+          ),
+        };
+  return {
+    blockSizes: parseNumberList(
+      design.blockSizes,
+      "block sizes",
+      (v) => Number.isInteger(v) && v >= 2 && v <= 64
+    ),
+    ...k,
+    quant:
+      selectionMode === "quant"
+        ? { quantizer, qualities: RD_QUALITY_VALUES }
+        : null,
+    allocation: allocationFor(selectionMode),
+    energyTargets: ENERGY_TARGETS,
+    padMode,
+    transforms: design.transforms,
+    metrics: design.metrics,
+  };
+}
 
-  return results;
+// Adds or removes one entry of a checkbox list, keeping `order`
+const toggleEntry = (list, id, on, order) =>
+  order.filter((x) => (x === id ? on : list.includes(x)));
+
+// Names that tell the sweep images apart: the path inside a picked folder,
+// numbered when two files still share one.
+function sweepImageNames(files) {
+  const seen = new Map();
+  return files.map((file) => {
+    const name = file.webkitRelativePath || file.name;
+    const count = (seen.get(name) || 0) + 1;
+    seen.set(name, count);
+    return count > 1 ? `${name} (${count})` : name;
+  });
 }
 
 // ========= React Component =========
@@ -149,50 +390,125 @@ export default function App() {
   const [isRunning, setIsRunning] = useState(false);
   const [isSweepRunning, setIsSweepRunning] = useState(false);
   const [canRun, setCanRun] = useState(false);
-  const [dctMatrix, setDctMatrix] = useState(null);
-  const [hadMatrix, setHadMatrix] = useState(null);
+  const [matrices, setMatrices] = useState(null);
+  const [matrixId, setMatrixId] = useState("hadamard");
+  const [kroneckerCheck, setKroneckerCheck] = useState(null);
+  const [selectionMode, setSelectionMode] = useState("topk");
+  const [quantizer, setQuantizer] = useState("uniform");
+  const [quality, setQuality] = useState(50);
+  const [energyTarget, setEnergyTarget] = useState(95);
+  const [saveTransform, setSaveTransform] = useState("dct");
+  const [decodedInfo, setDecodedInfo] = useState(null);
+  const [colorMode, setColorMode] = useState("gray");
+  const [loadedColorMode, setLoadedColorMode] = useState("gray");
+  const [padMode, setPadMode] = useState("edge");
+  const [rdMetric, setRdMetric] = useState("psnr");
+  const [rdMeasured, setRdMeasured] = useState(null);
+  const [errorData, setErrorData] = useState(null);
+  const [coefficientStats, setCoefficientStats] = useState(null);
+  const [basisGallery, setBasisGallery] = useState(null);
+  const [inspectorData, setInspectorData] = useState(null);
+  const [inspectedBlock, setInspectedBlock] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [waveletFilter, setWaveletFilter] = useState("cdf97");
+  const [waveletLevels, setWaveletLevels] = useState(5);
+  const [waveletInfo, setWaveletInfo] = useState(null);
+  const [corpusFiles, setCorpusFiles] = useState([]);
+  const [sweepFiles, setSweepFiles] = useState([]);
+  const [sweepDesign, setSweepDesign] = useState(DEFAULT_SWEEP_DESIGN);
+  const [sweepResults, setSweepResults] = useState(null);
+  const [rdCurves, setRdCurves] = useState(null);
+  const [corpusSweep, setCorpusSweep] = useState(null);
+  const [corpusModel, setCorpusModel] = useState(null);
+  const [isTraining, setIsTraining] = useState(false);
+  const [pcaComponents, setPcaComponents] = useState("");
+  const [pcaSideInfo, setPcaSideInfo] = useState("float32");
+  const [hybridEnabled, setHybridEnabled] = useState(true);
+  const [hybridLambda, setHybridLambda] = useState(20);
+  const [hybridModes, setHybridModes] = useState(null);
 
   const originalCanvasRef = useRef(null);
-  const dctCanvasRef = useRef(null);
-  const hadCanvasRef = useRef(null);
-  const pcaCanvasRef = useRef(null);
+  const reconCanvasRefs = useRef({});
   const pcaBasisCanvasRef = useRef(null);
   const hiddenCanvasRef = useRef(null);
   const energyCanvasRef = useRef(null);
   const rdCanvasRef = useRef(null);
+  const waveletCanvasRef = useRef(null);
+  const waveletMosaicCanvasRef = useRef(null);
+  const hybridCanvasRef = useRef(null);
+  const modeMapCanvasRef = useRef(null);
 
   const energyChartRef = useRef(null);
   const rdChartRef = useRef(null);
+  const histCanvasRef = useRef(null);
+  const histChartRef = useRef(null);
+  const rdSeriesRef = useRef(null);
+  const rdMarkerRef = useRef(null);
+  const liveRef = useRef(null);
 
   const originalImageRef = useRef(null);
-  const blocksFlatRef = useRef(null);
-  const blocksShapeRef = useRef(null);
-  const T_dctRef = useRef(null);
-  const T_hadRef = useRef(null);
-  const T_pcaRef = useRef(null);
-  const pcaMeanRef = useRef(null);
-  const imgElementRef = useRef(null);
+  const encodableRef = useRef({});
+  const decodedCanvasRef = useRef(null);
+  const workerClientRef = useRef(null);
+  const liveClientRef = useRef(null);
+
+  const getWorkerClient = () => {
+    if (!workerClientRef.current) {
+      workerClientRef.current = createAnalysisWorkerClient();
+    }
+    return workerClientRef.current;
+  };
+
+  const getLiveClient = () => {
+    if (!liveClientRef.current) {
+      liveClientRef.current = createLiveKClient(LIVE_SETTLE_MS);
+    }
+    return liveClientRef.current;
+  };
+
+  // Stop any computation still running when the app unmounts
+  useEffect(
+    () => () => {
+      workerClientRef.current?.cancel();
+      liveClientRef.current?.cancel();
+    },
+    []
+  );
 
   const handleImageLoaded = useCallback(
     (imgEl) => {
-      const B = parseInt(blockSize, 10) || 8;
       if (!hiddenCanvasRef.current) return;
 
-      setStatus("Converting to grayscale and preparing data...");
-      const imgData = toGrayscaleFloat(imgEl, B, hiddenCanvasRef.current);
+      let imgData;
+      if (colorMode === "gray") {
+        setStatus("Converting to grayscale and preparing data...");
+        imgData = toGrayscaleFloat(imgEl, hiddenCanvasRef.current);
+      } else {
+        setStatus("Converting to YCbCr and preparing data...");
+        imgData = {
+          ...toRGBFloat(imgEl, hiddenCanvasRef.current),
+          subsampling: colorMode,
+        };
+      }
       originalImageRef.current = imgData;
+      liveRef.current = null;
+      liveClientRef.current?.setSession(null);
+      rdMarkerRef.current = null;
+      setLoadedColorMode(colorMode);
+      setInspectorData(null);
+      setInspectedBlock(null);
 
       const { gray, width, height } = imgData;
-      drawGrayToCanvas(gray, width, height, originalCanvasRef.current);
-
-      const { blocks, shape } = extractBlocksJS(gray, width, height, B);
-      blocksFlatRef.current = blocks;
-      blocksShapeRef.current = shape;
+      if (imgData.rgb) {
+        drawRGBToCanvas(imgData.rgb, width, height, originalCanvasRef.current);
+      } else {
+        drawGrayToCanvas(gray, width, height, originalCanvasRef.current);
+      }
 
       setCanRun(true);
       setStatus("Image loaded. Click 'Run Transforms & Analysis'.");
     },
-    [blockSize]
+    [colorMode]
   );
 
   const handleLoadImageClick = useCallback(() => {
@@ -203,10 +519,7 @@ export default function App() {
 
     const img = new Image();
     img.crossOrigin = "anonymous";
-    img.onload = () => {
-      imgElementRef.current = img;
-      handleImageLoaded(img);
-    };
+    img.onload = () => handleImageLoaded(img);
     img.onerror = () => setStatus("Failed to load image. Check URL or file.");
 
     if (imageUrl) {
@@ -220,290 +533,629 @@ export default function App() {
     }
   }, [imageUrl, imageFile, handleImageLoaded]);
 
+  const handleDownloadCompressed = useCallback(() => {
+    const entry = encodableRef.current[saveTransform];
+    if (!entry) {
+      setStatus("Run the analysis first to produce coefficients to save.");
+      return;
+    }
+    try {
+      const bytes = encodeCompressedJS(entry);
+      const blob = new Blob([bytes], { type: "application/octet-stream" });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `image_${saveTransform}_B${entry.B}.tvc`;
+      a.click();
+      URL.revokeObjectURL(url);
+      const fileBpp = (bytes.length * 8) / (entry.width * entry.height);
+      setStatus(
+        `Saved ${bytes.length} bytes (${fileBpp.toFixed(3)} bpp, estimated ${entry.bpp.toFixed(3)} bpp).`
+      );
+    } catch (err) {
+      console.error(err);
+      setStatus("Error while encoding: " + err.message);
+    }
+  }, [saveTransform]);
+
+  const handleLoadCompressed = useCallback(async (file) => {
+    if (!file) return;
+    try {
+      const bytes = new Uint8Array(await file.arrayBuffer());
+      const decoded = decodeCompressedJS(bytes);
+      const { width, height, gray, transformId } = decoded;
+      drawGrayToCanvas(gray, width, height, decodedCanvasRef.current);
+
+      const key = Object.keys(TRANSFORM_IDS).find(
+        (id) => TRANSFORM_IDS[id] === transformId
+      );
+      const entry = encodableRef.current[key];
+      const original = originalImageRef.current;
+      const sameImage =
+        original && original.width === width && original.height === height;
+
+      setDecodedInfo({
+        name: file.name,
+        transform: key,
+        B: decoded.B,
+        selection: fileSelectionLabel(decoded),
+        width,
+        height,
+        fileBytes: bytes.length,
+        fileBpp: (bytes.length * 8) / (width * height),
+        payloadBpp: (decoded.payloadBytes * 8) / (width * height),
+        estimatedBpp:
+          entry && entry.width === width && entry.height === height
+            ? entry.bpp
+            : null,
+        psnr: sameImage ? psnrJS(original.gray, gray) : null,
+      });
+      setStatus(`Decoded ${file.name}.`);
+    } catch (err) {
+      console.error(err);
+      setDecodedInfo(null);
+      setStatus("Error while decoding: " + err.message);
+    }
+  }, []);
+
+  // The hybrid panel mounts with its data, so draw once it is in the DOM
+  useEffect(() => {
+    if (!hybridModes) return;
+    const { modes, shape, candidates, gray, width, height, B } = hybridModes;
+    drawGrayToCanvas(gray, width, height, hybridCanvasRef.current);
+    drawModeMapToCanvas(
+      modes,
+      shape,
+      width,
+      height,
+      modeMapCanvasRef.current,
+      candidates.map((c) => c.color)
+    );
+    drawBlockGridOverlay(modeMapCanvasRef.current, B);
+  }, [hybridModes]);
+
+  // Switching the RD y-axis only redraws the cached curves
+  useEffect(() => {
+    drawRdChart(
+      rdCanvasRef.current,
+      rdChartRef,
+      rdSeriesRef.current,
+      rdMetric,
+      rdMarkerRef.current
+    );
+  }, [rdMetric]);
+
+  // Live k: the live worker redraws the block-transform reconstructions
+  // from its cached coefficients, then entropy codes and measures the other
+  // metrics once the slider settles.
+  useEffect(() => {
+    const live = liveRef.current;
+    if (!live) return;
+    const k = Math.max(1, Math.min(live.B * live.B, parseInt(kShow, 10) || 1));
+    getLiveClient().show(k, {
+      onFrame: ({ recs }) => {
+        for (const [id, rec] of Object.entries(recs)) {
+          drawGrayToCanvas(
+            rec.gray,
+            live.width,
+            live.height,
+            reconCanvasRefs.current[id]
+          );
+        }
+        rdMarkerRef.current = { params: live.params, k };
+        updateRdMarker(
+          rdChartRef.current,
+          rdSeriesRef.current,
+          rdMetric,
+          rdMarkerRef.current
+        );
+        // The other metrics wait for the coding, shown as pending
+        live.results = live.results.map((r) =>
+          recs[r.id]
+            ? {
+                ...r,
+                gray: recs[r.id].gray,
+                psnr: recs[r.id].psnr,
+                values: null,
+              }
+            : r
+        );
+        setMetrics(
+          (prev) => prev && { ...prev, kShow: k, results: live.results }
+        );
+      },
+      onCoded: ({ coded }) => {
+        for (const [id, c] of Object.entries(coded)) {
+          encodableRef.current[id] = c.encodable;
+        }
+        live.results = live.results.map((r) =>
+          coded[r.id]
+            ? {
+                ...r,
+                bpp: coded[r.id].bpp,
+                fraction: coded[r.id].fraction,
+                keptHistogram: coded[r.id].keptHistogram,
+                values: coded[r.id].values,
+              }
+            : r
+        );
+        drawHistogramChart(histCanvasRef.current, histChartRef, live.results);
+        setMetrics((prev) => prev && { ...prev, results: live.results });
+        setErrorData(
+          (prev) =>
+            prev && {
+              ...prev,
+              recs: live.results.map((r) => ({ label: r.label, gray: r.gray })),
+            }
+        );
+      },
+      onError: (err) => {
+        console.error(err);
+        setStatus("Error while updating live k: " + err.message);
+      },
+    });
+  }, [kShow, rdMetric]);
+
+  // The cached coefficients no longer match the controls once these change
+  useEffect(() => {
+    liveRef.current = null;
+    liveClientRef.current?.setSession(null);
+    rdMarkerRef.current = null;
+  }, [blockSize, padMode, selectionMode]);
+
   const runAnalysis = useCallback(async () => {
     const originalImage = originalImageRef.current;
-    const blocksFlat = blocksFlatRef.current;
-    const blocksShape = blocksShapeRef.current;
-
-    if (!originalImage || !blocksFlat || !blocksShape) {
+    if (!originalImage) {
       setStatus("Load an image first.");
       return;
     }
 
     const B = parseInt(blockSize, 10) || 8;
     const k = parseInt(kShow, 10) || 16;
-    const { width, height, gray: imgGray } = originalImage;
-    const d = B * B;
+    const q = parseInt(quality, 10) || 50;
+    const useQuant = selectionMode === "quant";
+    const energy = Math.min(100, parseFloat(energyTarget) || 95) / 100;
+    // Along the RD curves only the plotted metric is measured besides PSNR
+    const rdMetrics = rdMetric === "psnr" ? [] : [rdMetric];
+    const { width, height, gray: imgGray, subsampling = null } = originalImage;
 
     setIsRunning(true);
+    liveRef.current = null;
+    liveClientRef.current?.setSession(null);
+    rdMarkerRef.current = null;
     setMetrics(null);
-    setStatus(
-      "Building transforms and running analysis (this may take a few seconds)..."
-    );
-
-    // Let React render the loading state before blocking computations
-    await new Promise((resolve) => setTimeout(resolve, 0));
+    setErrorData(null);
+    setCoefficientStats(null);
+    setRdCurves(null);
+    setBasisGallery(null);
+    setInspectedBlock(null);
+    setWaveletInfo(null);
+    setHybridModes(null);
+    setStatus("Building transforms and running analysis...");
+    setProgress({ message: "Starting analysis", fraction: 0 });
 
     try {
-      // Build transforms
-      const C1d = dctMatrixJS(B);
-      const T_dct = kron2DFrom1DJS(C1d);
-      const H1d = hadamardMatrixJS(B);
-      const T_had = kron2DFrom1DJS(H1d);
-      const { T: T_pca, mean: pcaMean } = pcaTransformJS(blocksFlat);
-
-      T_dctRef.current = T_dct;
-      T_hadRef.current = T_had;
-      T_pcaRef.current = T_pca;
-      pcaMeanRef.current = pcaMean;
-
-      setDctMatrix(C1d);
-      setHadMatrix(H1d);
-
-      // PCA first basis vector visualized as N×N
-      const firstBasis = T_pca[0];
-      const basisGray = new Float32Array(d);
-      let minVal = Infinity,
-        maxVal = -Infinity;
-      for (let i = 0; i < d; i++) {
-        minVal = Math.min(minVal, firstBasis[i]);
-        maxVal = Math.max(maxVal, firstBasis[i]);
-      }
-      const range = maxVal - minVal || 1;
-      for (let i = 0; i < d; i++) {
-        basisGray[i] = (firstBasis[i] - minVal) / range;
-      }
-      drawGrayToCanvas(basisGray, B, B, pcaBasisCanvasRef.current);
-
-      // Coefficients
-      const coeffsDCT = transformBlocksJS(blocksFlat, T_dct, null);
-      const coeffsHAD = transformBlocksJS(blocksFlat, T_had, null);
-      const coeffsPCA = transformBlocksJS(blocksFlat, T_pca, pcaMean);
-
-      // Energy compaction
-      const maxK = d;
-      const ecDCT = energyCompactionCurveJS(coeffsDCT, maxK);
-      const ecHAD = energyCompactionCurveJS(coeffsHAD, maxK);
-      const ecPCA = energyCompactionCurveJS(coeffsPCA, maxK);
-
-      const fracK = ecDCT.ks.map((kk) => kk / d);
-      const energyData = {
-        labels: fracK,
-        datasets: [
-          {
-            label: "DCT",
-            data: ecDCT.avgFrac,
-            borderColor: "#22c55e",
-            tension: 0.2,
-          },
-          {
-            label: "Hadamard",
-            data: ecHAD.avgFrac,
-            borderColor: "#3b82f6",
-            tension: 0.2,
-          },
-          {
-            label: "PCA (learned)",
-            data: ecPCA.avgFrac,
-            borderColor: "#f97316",
-            tension: 0.2,
-          },
-        ],
-      };
-
-      if (energyChartRef.current) {
-        energyChartRef.current.destroy();
-      }
-      energyChartRef.current = new Chart(
-        energyCanvasRef.current.getContext("2d"),
+      const { image, transfer } = imagePayload(originalImage);
+      const analysis = await getWorkerClient().run(
+        "analysis",
         {
-          type: "line",
-          data: energyData,
-          options: {
-            responsive: true,
-            plugins: {
-              legend: { labels: { color: "#e5e7eb" } },
-            },
-            scales: {
-              x: {
-                title: {
-                  display: true,
-                  text: "k / d",
-                  color: "#9ca3af",
-                },
-                ticks: { color: "#9ca3af" },
-                grid: { color: "#1f2937" },
-              },
-              y: {
-                title: {
-                  display: true,
-                  text: "Average energy fraction",
-                  color: "#9ca3af",
-                },
-                min: 0,
-                max: 1,
-                ticks: { color: "#9ca3af" },
-                grid: { color: "#1f2937" },
-              },
+          image,
+          settings: {
+            B,
+            k,
+            quality: q,
+            useQuant,
+            quantizer,
+            padMode,
+            allocation: allocationFor(selectionMode),
+            energyTarget: energy,
+            rdMetrics,
+            corpusPca: corpusModel,
+            hybrid: hybridEnabled
+              ? { lambda: parseFloat(hybridLambda) || 0 }
+              : null,
+            pca: {
+              components: parseInt(pcaComponents, 10) || null,
+              sideInfo: pcaSideInfo === "none" ? null : pcaSideInfo,
             },
+            wavelet:
+              waveletFilter === "none"
+                ? null
+                : {
+                    filter: waveletFilter,
+                    levels: parseInt(waveletLevels, 10) || 5,
+                  },
           },
-        }
+        },
+        { onProgress: setProgress, transfer }
       );
 
-      // Rate–distortion
-      const kValues = [2, 4, 8, 16, 24, 32, 40, 48, d];
-      const rdDCT = rateDistortionJS(
-        imgGray,
-        width,
-        height,
-        blocksFlat,
-        blocksShape,
-        T_dct,
-        null,
-        kValues
+      setRdMeasured(["psnr", ...rdMetrics]);
+      setMatrices(analysis.matrices);
+      setKroneckerCheck(analysis.kroneckerCheck);
+      drawGrayToCanvas(analysis.pcaFirstBasis, B, B, pcaBasisCanvasRef.current);
+      drawEnergyChart(energyCanvasRef.current, energyChartRef, analysis.energy);
+
+      // The live k slider needs a k-driven selection on a grayscale image
+      const live = analysis.live && !useQuant && selectionMode !== "energy";
+      liveRef.current = live
+        ? {
+            B,
+            width,
+            height,
+            params: analysis.live.params,
+            results: analysis.results,
+          }
+        : null;
+      if (live) {
+        getLiveClient().setSession(
+          { ...analysis.live, imgGray },
+          Math.min(k, B * B)
+        );
+      }
+      rdMarkerRef.current = live ? { params: analysis.live.params, k } : null;
+
+      rdSeriesRef.current = analysis.rdSeries;
+      // The RD curves as sweep rows, for the BD table
+      setRdCurves(
+        analysis.rdSeries.flatMap((s) =>
+          s.rates.map((bpp, i) => ({
+            blockSize: B,
+            transform: s.label,
+            bpp,
+            psnr: s.values.psnr[i],
+          }))
+        )
       );
-      const rdHAD = rateDistortionJS(
-        imgGray,
-        width,
-        height,
-        blocksFlat,
-        blocksShape,
-        T_had,
-        null,
-        kValues
+      drawRdChart(
+        rdCanvasRef.current,
+        rdChartRef,
+        rdSeriesRef.current,
+        rdMetric,
+        rdMarkerRef.current
       );
-      const rdPCA = rateDistortionJS(
-        imgGray,
-        width,
-        height,
-        blocksFlat,
-        blocksShape,
-        T_pca,
-        pcaMean,
-        kValues
+      drawHistogramChart(histCanvasRef.current, histChartRef, analysis.results);
+
+      const canvases = reconCanvasRefs.current;
+      for (const t of [...ALL_TRANSFORMS, CORPUS_PCA_TRANSFORM]) {
+        const r = analysis.results.find((res) => res.id === t.id);
+        const canvas = canvases[t.id];
+        if (!r) {
+          // not available at this block size
+          canvas.getContext("2d").clearRect(0, 0, canvas.width, canvas.height);
+        } else if (r.rgb) {
+          drawRGBToCanvas(r.rgb, width, height, canvas);
+        } else {
+          drawGrayToCanvas(r.gray, width, height, canvas);
+        }
+      }
+      encodableRef.current = analysis.encodable;
+
+      const hm = analysis.hybridModes;
+      setHybridModes(
+        hm && {
+          ...hm,
+          gray: analysis.results.find((r) => r.id === "hybrid").gray,
+          width,
+          height,
+          B,
+        }
       );
 
-      const rdData = {
-        labels: rdDCT.rates,
-        datasets: [
-          {
-            label: "DCT",
-            data: rdDCT.psnrs,
-            borderColor: "#22c55e",
-            tension: 0.2,
-          },
-          {
-            label: "Hadamard",
-            data: rdHAD.psnrs,
-            borderColor: "#3b82f6",
-            tension: 0.2,
-          },
-          {
-            label: "PCA (learned)",
-            data: rdPCA.psnrs,
-            borderColor: "#f97316",
-            tension: 0.2,
-          },
-        ],
-      };
-
-      if (rdChartRef.current) {
-        rdChartRef.current.destroy();
+      const wv = analysis.wavelet;
+      if (wv) {
+        drawGrayToCanvas(wv.gray, width, height, waveletCanvasRef.current);
+        drawGrayToCanvas(
+          wv.mosaic,
+          width,
+          height,
+          waveletMosaicCanvasRef.current
+        );
       }
-      rdChartRef.current = new Chart(rdCanvasRef.current.getContext("2d"), {
-        type: "line",
-        data: rdData,
-        options: {
-          responsive: true,
-          plugins: {
-            legend: { labels: { color: "#e5e7eb" } },
-          },
-          scales: {
-            x: {
-              title: {
-                display: true,
-                text: "Fraction of kept coefficients per block (rate)",
-                color: "#9ca3af",
-              },
-              ticks: { color: "#9ca3af" },
-              grid: { color: "#1f2937" },
-            },
-            y: {
-              title: { display: true, text: "PSNR (dB)", color: "#9ca3af" },
-              ticks: { color: "#9ca3af" },
-              grid: { color: "#1f2937" },
-            },
-          },
-        },
-      });
+      setWaveletInfo(
+        wv
+          ? {
+              label: wv.label,
+              levels: wv.levels,
+              bpp: wv.bpp,
+              psnr: wv.psnr,
+              keptFraction: wv.keptFraction,
+            }
+          : null
+      );
 
-      // Reconstructions at kShow
-      const coeffsDCT_k = keepTopK(coeffsDCT, k);
-      const blocksDCT_rec = inverseTransformBlocksJS(coeffsDCT_k, T_dct, null);
-      const grayDCT = reconstructFromBlocksJS(
-        blocksDCT_rec,
-        blocksShape,
+      setCoefficientStats({ stats: analysis.coefficientStats, B });
+      setBasisGallery({
+        gallery: analysis.basisGallery,
+        stats: analysis.coefficientStats,
+        B,
+      });
+      setInspectorData({
+        image: originalImage,
+        inspector: analysis.inspector,
+      });
+      setErrorData({
+        original: imgGray,
+        recs: analysis.results.map((r) => ({ label: r.label, gray: r.gray })),
         width,
-        height
+        height,
+        B,
+        luma: Boolean(subsampling),
+      });
+
+      setMetrics({
+        mode: selectionMode,
+        energy,
+        kShow: k,
+        analysisK: k,
+        live: Boolean(live),
+        quality: q,
+        quantizer,
+        d: analysis.d,
+        subsampling,
+        results: analysis.results,
+      });
+
+      setStatus("Done. Explore the plots and reconstructions above.");
+    } catch (e) {
+      if (e.name === "AbortError") {
+        setStatus("Analysis cancelled.");
+      } else {
+        console.error(e);
+        setStatus("Error during analysis: " + e.message);
+      }
+    } finally {
+      setIsRunning(false);
+      setProgress(null);
+    }
+  }, [
+    blockSize,
+    kShow,
+    quality,
+    quantizer,
+    selectionMode,
+    energyTarget,
+    padMode,
+    rdMetric,
+    waveletFilter,
+    waveletLevels,
+    corpusModel,
+    pcaComponents,
+    pcaSideInfo,
+    hybridEnabled,
+    hybridLambda,
+  ]);
+
+  const runSweep = useCallback(async () => {
+    const originalImage = originalImageRef.current;
+    if (!originalImage) {
+      setStatus("Load an image first, then run the sweep.");
+      return;
+    }
+    setIsSweepRunning(true);
+    setSweepResults(null);
+    setStatus("Running sweep experiments...");
+    setProgress({ message: "Starting sweep", fraction: 0 });
+    try {
+      const options = sweepOptions(
+        sweepDesign,
+        selectionMode,
+        quantizer,
+        padMode
       );
-      for (let i = 0; i < grayDCT.length; i++) {
-        if (grayDCT[i] < 0) grayDCT[i] = 0;
-        if (grayDCT[i] > 1) grayDCT[i] = 1;
+      // Every block size is measured against the same native-resolution
+      // grayscale pixels
+      const { width, height } = originalImage;
+      const gray = originalImage.gray.slice();
+      const results = await getWorkerClient().run(
+        "sweep",
+        { image: { width, height, gray }, options },
+        { onProgress: setProgress, transfer: [gray.buffer] }
+      );
+      setSweepResults(results);
+      setStatus(
+        `Sweep done: ${results.length} points. The results are below the RD charts.`
+      );
+    } catch (err) {
+      if (err.name === "AbortError") {
+        setStatus("Sweep cancelled.");
+      } else {
+        console.error(err);
+        setStatus("Error during sweep: " + err.message);
       }
-      drawGrayToCanvas(grayDCT, width, height, dctCanvasRef.current);
+    } finally {
+      setIsSweepRunning(false);
+      setProgress(null);
+    }
+  }, [sweepDesign, selectionMode, quantizer, padMode]);
 
-      const coeffsHAD_k = keepTopK(coeffsHAD, k);
-      const blocksHAD_rec = inverseTransformBlocksJS(coeffsHAD_k, T_had, null);
-      const grayHAD = reconstructFromBlocksJS(
-        blocksHAD_rec,
-        blocksShape,
-        width,
-        height
+  // The same sweep over every chosen image, aggregated in the worker
+  const runCorpusSweep = useCallback(async () => {
+    if (!sweepFiles.length) {
+      setStatus("Choose the images to sweep first.");
+      return;
+    }
+    setIsSweepRunning(true);
+    setCorpusSweep(null);
+    setStatus(`Running the sweep over ${sweepFiles.length} image(s)...`);
+    setProgress({ message: "Reading sweep images", fraction: 0 });
+    try {
+      const options = sweepOptions(
+        sweepDesign,
+        selectionMode,
+        quantizer,
+        padMode
       );
-      for (let i = 0; i < grayHAD.length; i++) {
-        if (grayHAD[i] < 0) grayHAD[i] = 0;
-        if (grayHAD[i] > 1) grayHAD[i] = 1;
+      const names = sweepImageNames(sweepFiles);
+      const images = [];
+      for (const [i, file] of sweepFiles.entries()) {
+        const img = await loadImageFile(file);
+        const { width, height, gray } = toGrayscaleFloat(
+          img,
+          hiddenCanvasRef.current
+        );
+        images.push({ name: names[i], width, height, gray });
       }
-      drawGrayToCanvas(grayHAD, width, height, hadCanvasRef.current);
-
-      const coeffsPCA_k = keepTopK(coeffsPCA, k);
-      const blocksPCA_rec = inverseTransformBlocksJS(
-        coeffsPCA_k,
-        T_pca,
-        pcaMean
+      const result = await getWorkerClient().run(
+        "corpusSweep",
+        { images, options },
+        {
+          onProgress: setProgress,
+          transfer: images.map((im) => im.gray.buffer),
+        }
       );
-      const grayPCA = reconstructFromBlocksJS(
-        blocksPCA_rec,
-        blocksShape,
-        width,
-        height
+      setCorpusSweep(result);
+      setStatus(
+        `Corpus sweep done over ${result.images.length} image(s). Export the results below the RD charts.`
       );
-      for (let i = 0; i < grayPCA.length; i++) {
-        if (grayPCA[i] < 0) grayPCA[i] = 0;
-        if (grayPCA[i] > 1) grayPCA[i] = 1;
+    } catch (err) {
+      if (err.name === "AbortError") {
+        setStatus("Sweep cancelled.");
+      } else {
+        console.error(err);
+        setStatus("Error during sweep: " + err.message);
       }
-      drawGrayToCanvas(grayPCA, width, height, pcaCanvasRef.current);
+    } finally {
+      setIsSweepRunning(false);
+      setProgress(null);
+    }
+  }, [sweepFiles, sweepDesign, selectionMode, quantizer, padMode]);
 
-      const P_dct = psnrJS(imgGray, grayDCT);
-      const P_had = psnrJS(imgGray, grayHAD);
-      const P_pca = psnrJS(imgGray, grayPCA);
+  // Fit PCA on blocks pooled from the training images (grayscale, current B
+  // and padding). The image being analysed should not be among them.
+  const handleTrainCorpus = useCallback(async () => {
+    if (!corpusFiles.length) {
+      setStatus("Choose one or more training images first.");
+      return;
+    }
+    const B = parseInt(blockSize, 10) || 8;
+    setIsTraining(true);
+    setStatus(`Training corpus PCA on ${corpusFiles.length} image(s)...`);
+    setProgress({ message: "Reading training images", fraction: 0 });
+    try {
+      const images = [];
+      for (const file of corpusFiles) {
+        const img = await loadImageFile(file);
+        images.push(toGrayscaleFloat(img, hiddenCanvasRef.current));
+      }
+      const model = await getWorkerClient().run(
+        "trainPca",
+        { images, B, padMode },
+        {
+          onProgress: setProgress,
+          transfer: images.map((im) => im.gray.buffer),
+        }
+      );
+      setCorpusModel(model);
+      setStatus(
+        `Corpus PCA trained on ${model.numBlocks} blocks from ${model.numImages} image(s).`
+      );
+    } catch (err) {
+      if (err.name === "AbortError") {
+        setStatus("Training cancelled.");
+      } else {
+        console.error(err);
+        setStatus("Error while training: " + err.message);
+      }
+    } finally {
+      setIsTraining(false);
+      setProgress(null);
+    }
+  }, [corpusFiles, blockSize, padMode]);
+
+  const handleSaveCorpusModel = useCallback(() => {
+    if (!corpusModel) return;
+    const blob = new Blob([serializePcaModelJS(corpusModel)], {
+      type: "application/json",
+    });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `pca_basis_B${corpusModel.B}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }, [corpusModel]);
+
+  const handleLoadCorpusModel = useCallback(async (file) => {
+    if (!file) return;
+    try {
+      const model = parsePcaModelJS(await file.text());
+      setCorpusModel(model);
+      setStatus(`Loaded PCA basis for B = ${model.B} from ${file.name}.`);
+    } catch (err) {
+      console.error(err);
+      setStatus("Error while loading the basis: " + err.message);
+    }
+  }, []);
+
+  const handleCancel = useCallback(() => {
+    workerClientRef.current?.cancel();
+  }, []);
+
+  // Block inspector: click selects the block under the cursor (at the block
+  // size of the last analysis), arrow keys move to its neighbours.
+  const handleOriginalClick = useCallback(
+    (e) => {
+      const image = inspectorData?.image;
+      if (!image) return;
+      const B = inspectorData.inspector.B;
+      const rect = e.currentTarget.getBoundingClientRect();
+      const x = ((e.clientX - rect.left) / rect.width) * image.width;
+      const y = ((e.clientY - rect.top) / rect.height) * image.height;
+      setInspectedBlock({
+        bx: Math.min(Math.floor(x / B), Math.ceil(image.width / B) - 1),
+        by: Math.min(Math.floor(y / B), Math.ceil(image.height / B) - 1),
+      });
+    },
+    [inspectorData]
+  );
 
-      setMetrics({
-        kShow: k,
-        d,
-        P_dct,
-        P_had,
-        P_pca,
+  const handleOriginalKeyDown = useCallback(
+    (e) => {
+      const moves = {
+        ArrowLeft: [-1, 0],
+        ArrowRight: [1, 0],
+        ArrowUp: [0, -1],
+        ArrowDown: [0, 1],
+      };
+      if (!moves[e.key] || !inspectedBlock || !inspectorData) return;
+      e.preventDefault();
+      const { image, inspector } = inspectorData;
+      const [dx, dy] = moves[e.key];
+      const ncols = Math.ceil(image.width / inspector.B);
+      const nrows = Math.ceil(image.height / inspector.B);
+      setInspectedBlock({
+        bx: Math.max(0, Math.min(ncols - 1, inspectedBlock.bx + dx)),
+        by: Math.max(0, Math.min(nrows - 1, inspectedBlock.by + dy)),
       });
+    },
+    [inspectedBlock, inspectorData]
+  );
 
-      setStatus("Done. Explore the plots and reconstructions above.");
-    } catch (e) {
-      console.error(e);
-      setStatus("Error during analysis: " + e.message);
-    } finally {
-      setIsRunning(false);
+  // Outline the inspected block on the original
+  useEffect(() => {
+    const image = inspectorData?.image;
+    if (!image) return;
+    const canvas = originalCanvasRef.current;
+    if (image.rgb) {
+      drawRGBToCanvas(image.rgb, image.width, image.height, canvas);
+    } else {
+      drawGrayToCanvas(image.gray, image.width, image.height, canvas);
     }
-  }, [blockSize, kShow]);
+    if (!inspectedBlock) return;
+    drawBlockSelectionOverlay(
+      canvas,
+      inspectorData.inspector.B,
+      inspectedBlock.bx,
+      inspectedBlock.by
+    );
+  }, [inspectorData, inspectedBlock]);
+
+  const isBusy = isRunning || isSweepRunning || isTraining;
+  const currentB = parseInt(blockSize, 10) || 8;
+  const corpusResult = metrics?.results.find(
+    (r) => r.id === CORPUS_PCA_TRANSFORM.id
+  );
 
   return (
     <div>
@@ -512,7 +1164,8 @@ export default function App() {
           <div>
             <h1>Transform-based Compression Explorer</h1>
             <span>
-              Compare DCT, Hadamard & PCA (Learned) for N×N image blocks
+              Compare DCT, DST, Hadamard, Walsh, Haar, Slant & PCA (Learned) for
+              N×N image blocks
             </span>
           </div>
           <div>
@@ -559,20 +1212,373 @@ export default function App() {
                 onChange={(e) => setBlockSize(e.target.value)}
               />
               <span className="small-text">
-                Must be a power of 2 for Hadamard.
+                Hadamard, Walsh, Haar and Slant need a power of 2.
               </span>
             </div>
             <div className="controls-group">
-              <label>k for visual reconstructions</label>
+              <label>k for visual reconstructions: {kShow}</label>
               <input
-                type="number"
+                type="range"
                 min="1"
-                max="64"
+                max={currentB * currentB}
                 value={kShow}
                 onChange={(e) => setKShow(e.target.value)}
               />
               <span className="small-text">
-                Number of kept coefficients per block.
+                Number of kept coefficients per block. After a grayscale
+                analysis the reconstructions follow the slider live.
+              </span>
+            </div>
+          </div>
+          <div className="controls">
+            <div className="controls-group">
+              <label>Coefficient selection</label>
+              <select
+                value={selectionMode}
+                onChange={(e) => setSelectionMode(e.target.value)}
+              >
+                <option value="topk">Keep top-k per block</option>
+                <option value="global">
+                  Keep top k × blocks over the whole image
+                </option>
+                <option value="energy">Keep until a block energy target</option>
+                {Object.entries(ZONAL_MASKS).map(([id, { label }]) => (
+                  <option key={id} value={id}>
+                    {label}
+                  </option>
+                ))}
+                <option value="quant">Quantize with a table</option>
+              </select>
+              <span className="small-text">
+                Quantizer mode sweeps the quality factor instead of k, energy
+                mode sweeps the energy target. Zonal masks keep the same k
+                positions in every block, so no per-block positions are coded;
+                the variance mask is sent once and charged in the rate.
+              </span>
+            </div>
+            <div className="controls-group">
+              <label>Energy target (%)</label>
+              <input
+                type="number"
+                min="1"
+                max="100"
+                step="any"
+                value={energyTarget}
+                onChange={(e) => setEnergyTarget(e.target.value)}
+                disabled={selectionMode !== "energy"}
+              />
+              <span className="small-text">
+                Each block keeps its largest coefficients until they hold this
+                share of its energy.
+              </span>
+            </div>
+            <div className="controls-group">
+              <label>Quantizer</label>
+              <select
+                value={quantizer}
+                onChange={(e) => setQuantizer(e.target.value)}
+                disabled={selectionMode !== "quant"}
+              >
+                <option value="uniform">Uniform (mid-tread)</option>
+                <option value="deadzone">Deadzone</option>
+              </select>
+              <span className="small-text">
+                JPEG-style table per transform, scaled by quality.
+              </span>
+            </div>
+            <div className="controls-group">
+              <label>Quality factor</label>
+              <input
+                type="number"
+                min="1"
+                max="100"
+                value={quality}
+                onChange={(e) => setQuality(e.target.value)}
+                disabled={selectionMode !== "quant"}
+              />
+              <span className="small-text">
+                1 = coarsest steps, 100 = finest.
+              </span>
+            </div>
+          </div>
+          <div className="controls">
+            <div className="controls-group">
+              <label>Color pipeline</label>
+              <select
+                value={colorMode}
+                onChange={(e) => setColorMode(e.target.value)}
+              >
+                <option value="gray">Grayscale</option>
+                <option value="4:4:4">YCbCr 4:4:4</option>
+                <option value="4:2:2">YCbCr 4:2:2</option>
+                <option value="4:2:0">YCbCr 4:2:0</option>
+              </select>
+              <span className="small-text">
+                Applied when the image is (re)loaded. RD in color mode plots
+                RGB PSNR vs total bpp.
+              </span>
+            </div>
+            <div className="controls-group">
+              <label>Border padding</label>
+              <select value={padMode} onChange={(e) => setPadMode(e.target.value)}>
+                <option value="zero">Zero</option>
+                <option value="edge">Edge replicate</option>
+                <option value="symmetric">Symmetric mirror</option>
+              </select>
+              <span className="small-text">
+                Pads partial border blocks; reconstructions are cropped back
+                to the native resolution.
+              </span>
+            </div>
+            <div className="controls-group">
+              <label>Full-image wavelet</label>
+              <select
+                value={waveletFilter}
+                onChange={(e) => setWaveletFilter(e.target.value)}
+              >
+                <option value="none">None</option>
+                <option value="haar">Haar</option>
+                <option value="cdf97">CDF 9/7</option>
+                <option value="legall53">LeGall 5/3</option>
+              </select>
+              <input
+                type="number"
+                min="1"
+                max={MAX_WAVELET_LEVELS}
+                value={waveletLevels}
+                onChange={(e) => setWaveletLevels(e.target.value)}
+                disabled={waveletFilter === "none"}
+              />
+              <span className="small-text">
+                Decomposition levels. The DWT is a dashed curve on the RD
+                chart (grayscale only).
+              </span>
+            </div>
+            <div className="controls-group">
+              <label>
+                <input
+                  type="checkbox"
+                  checked={hybridEnabled}
+                  onChange={(e) => setHybridEnabled(e.target.checked)}
+                />{" "}
+                Per-block mode decision, λ
+              </label>
+              <input
+                type="number"
+                min="0"
+                step="any"
+                value={hybridLambda}
+                onChange={(e) => setHybridLambda(e.target.value)}
+                disabled={!hybridEnabled}
+              />
+              <span className="small-text">
+                Each block picks DCT, Hadamard or PCA by minimizing SSE + λ·bits
+                (λ in 8-bit gray levels² per bit). Grayscale only.
+              </span>
+            </div>
+          </div>
+          <div className="controls codec-panel">
+            <div className="controls-group">
+              <label>Corpus PCA: training images</label>
+              <input
+                type="file"
+                accept="image/*"
+                multiple
+                onChange={(e) => setCorpusFiles(Array.from(e.target.files))}
+              />
+              <button
+                type="button"
+                onClick={handleTrainCorpus}
+                disabled={!corpusFiles.length || isBusy}
+              >
+                {isTraining ? "Training..." : `Train basis (B = ${currentB})`}
+              </button>
+              <span className="small-text">
+                Pools the blocks of every training image into one KLT. Keep
+                the test image out of the training set.
+              </span>
+            </div>
+            <div className="controls-group">
+              <label>Corpus sweep: images</label>
+              <input
+                type="file"
+                accept="image/*"
+                multiple
+                onChange={(e) => setSweepFiles(Array.from(e.target.files))}
+              />
+              <input
+                type="file"
+                webkitdirectory=""
+                onChange={(e) =>
+                  setSweepFiles(
+                    Array.from(e.target.files).filter((f) =>
+                      f.type.startsWith("image/")
+                    )
+                  )
+                }
+              />
+              <button
+                type="button"
+                onClick={runCorpusSweep}
+                disabled={!sweepFiles.length || isBusy}
+              >
+                {isSweepRunning
+                  ? "Running sweep..."
+                  : `Run Sweep (${sweepFiles.length} image(s))`}
+              </button>
+              <span className="small-text">
+                Pick files or a whole folder. Runs the sweep below on every
+                image (grayscale) and reports mean RD curves with confidence
+                intervals and how often each transform wins at matched rate.
+              </span>
+            </div>
+            <div className="controls-group">
+              <label>Corpus PCA: basis file</label>
+              <input
+                type="file"
+                accept=".json,application/json"
+                onChange={(e) => handleLoadCorpusModel(e.target.files[0])}
+              />
+              <button
+                type="button"
+                onClick={handleSaveCorpusModel}
+                disabled={!corpusModel}
+              >
+                Save basis (JSON)
+              </button>
+              <span className="small-text">
+                {corpusModel
+                  ? `B = ${corpusModel.B}, ${corpusModel.numBlocks} blocks from ${corpusModel.numImages} image(s)` +
+                    (corpusModel.B !== currentB
+                      ? ` — not used at the current B = ${currentB}`
+                      : "")
+                  : "No corpus basis loaded."}
+              </span>
+            </div>
+            <div className="controls-group">
+              <label>PCA basis cost</label>
+              <select
+                value={pcaSideInfo}
+                onChange={(e) => setPcaSideInfo(e.target.value)}
+              >
+                <option value="none">Free (not counted)</option>
+                <option value="float32">float32</option>
+                <option value="float16">float16</option>
+                <option value="q12">12-bit quantized</option>
+                <option value="q8">8-bit quantized</option>
+              </select>
+              <input
+                type="number"
+                min="1"
+                max={currentB * currentB}
+                value={pcaComponents}
+                placeholder={`m = ${currentB * currentB} (all)`}
+                onChange={(e) => setPcaComponents(e.target.value)}
+              />
+              <span className="small-text">
+                Charges the per-image basis and mean in the rate and keeps
+                only the first m basis vectors. The RD chart shows PCA with
+                and without the overhead.
+              </span>
+            </div>
+          </div>
+          <div className="controls codec-panel">
+            <div className="controls-group">
+              <label>Sweep designer: block sizes</label>
+              <input
+                type="text"
+                value={sweepDesign.blockSizes}
+                onChange={(e) =>
+                  setSweepDesign({
+                    ...sweepDesign,
+                    blockSizes: e.target.value,
+                  })
+                }
+              />
+              <label>Sweep designer: kept coefficients</label>
+              <select
+                value={sweepDesign.kMode}
+                onChange={(e) =>
+                  setSweepDesign({ ...sweepDesign, kMode: e.target.value })
+                }
+              >
+                <option value="fractions">Fractions of B² (per block size)</option>
+                <option value="values">Explicit k values</option>
+              </select>
+              <input
+                type="text"
+                value={
+                  sweepDesign.kMode === "values"
+                    ? sweepDesign.kValues
+                    : sweepDesign.kFractions
+                }
+                onChange={(e) => {
+                  const key =
+                    sweepDesign.kMode === "values" ? "kValues" : "kFractions";
+                  setSweepDesign({ ...sweepDesign, [key]: e.target.value });
+                }}
+              />
+              <span className="small-text">
+                Comma-separated lists. k values above B² are skipped for that
+                block size; the quantizer and energy modes sweep their own
+                parameter instead. Large blocks make PCA slow.
+              </span>
+            </div>
+            <div className="controls-group">
+              <label>Sweep designer: transforms</label>
+              <div className="checkbox-grid">
+                {ALL_TRANSFORMS.map((t) => (
+                  <label key={t.id} className="small-text">
+                    <input
+                      type="checkbox"
+                      checked={sweepDesign.transforms.includes(t.id)}
+                      onChange={(e) =>
+                        setSweepDesign({
+                          ...sweepDesign,
+                          transforms: toggleEntry(
+                            sweepDesign.transforms,
+                            t.id,
+                            e.target.checked,
+                            ALL_TRANSFORMS.map((x) => x.id)
+                          ),
+                        })
+                      }
+                    />{" "}
+                    {t.label}
+                  </label>
+                ))}
+              </div>
+              <span className="small-text">
+                Power-of-2 transforms are skipped at other block sizes.
+              </span>
+            </div>
+            <div className="controls-group">
+              <label>Sweep designer: metrics</label>
+              <div className="checkbox-grid">
+                {METRICS.filter((mt) => mt.key !== "psnr").map((mt) => (
+                  <label key={mt.key} className="small-text">
+                    <input
+                      type="checkbox"
+                      checked={sweepDesign.metrics.includes(mt.key)}
+                      onChange={(e) =>
+                        setSweepDesign({
+                          ...sweepDesign,
+                          metrics: toggleEntry(
+                            sweepDesign.metrics,
+                            mt.key,
+                            e.target.checked,
+                            EXTRA_METRIC_KEYS
+                          ),
+                        })
+                      }
+                    />{" "}
+                    {mt.label}
+                  </label>
+                ))}
+              </div>
+              <span className="small-text">
+                PSNR and bpp are always measured. Every extra metric costs a
+                full-image evaluation per point.
               </span>
             </div>
           </div>
@@ -625,7 +1631,7 @@ export default function App() {
             <button
               className="secondary"
               onClick={runAnalysis}
-              disabled={!canRun || isRunning}
+              disabled={!canRun || isBusy}
             >
               {isRunning ? (
                 <>
@@ -639,51 +1645,8 @@ export default function App() {
             <button
               className="secondary"
               type="button"
-              onClick={async () => {
-                if (!imgElementRef.current) {
-                  setStatus("Load an image first, then run the sweep.");
-                  return;
-                }
-                setIsSweepRunning(true);
-                setStatus("Running sweep experiments...");
-                try {
-                  const results = await runSweepForCurrentImage({
-                    imgEl: imgElementRef.current,
-                    hiddenCanvas: hiddenCanvasRef.current,
-                    blockSizes: [4, 8, 16, 32], // tweak as you like
-                    kFractions: [0.05, 0.1, 0.2, 0.3, 0.5, 0.75, 1.0],
-                  });
-
-                  console.table(results);
-
-                  const header = "blockSize,k,rate,transform,psnr\n";
-                  const rows = results
-                    .map(
-                      (r) =>
-                        `${r.blockSize},${r.k},${r.rate.toFixed(4)},${
-                          r.transform
-                        },${r.psnr.toFixed(4)}`
-                    )
-                    .join("\n");
-                  const blob = new Blob([header + rows], { type: "text/csv" });
-                  const url = URL.createObjectURL(blob);
-                  const a = document.createElement("a");
-                  a.href = url;
-                  a.download = "transform_sweep_results.csv";
-                  a.click();
-                  URL.revokeObjectURL(url);
-
-                  setStatus(
-                    "Sweep done. CSV downloaded and data logged to console."
-                  );
-                } catch (err) {
-                  console.error(err);
-                  setStatus("Error during sweep: " + err.message);
-                } finally {
-                  setIsSweepRunning(false);
-                }
-              }}
-              disabled={isRunning || isSweepRunning || !canRun}
+              onClick={runSweep}
+              disabled={isBusy || !canRun}
             >
               {isSweepRunning ? (
                 <>
@@ -694,15 +1657,28 @@ export default function App() {
                 "Run Sweep (for current image)"
               )}
             </button>
+            {isBusy && (
+              <button type="button" className="secondary" onClick={handleCancel}>
+                Cancel
+              </button>
+            )}
 
             <span className="small-text">
               <b>
-                Note. Run sweeps button performs a sweep over block sizes (4×4
-                up to 64×64) and random k values to collect PSNR for DCT,
-                Hadamard, and PCA on this image.
+                Note. The sweep button measures the transforms, block sizes, k
+                values and metrics chosen in the sweep designer on this image
+                (grayscale); the results appear below the RD charts.
               </b>
             </span>
             <span className="small-text">{status}</span>
+            {progress && (
+              <div className="progress-row">
+                <progress value={progress.fraction} max="1" />
+                <span className="small-text">
+                  {progress.message} ({Math.round(progress.fraction * 100)}%)
+                </span>
+              </div>
+            )}
           </div>
         </section>
 
@@ -713,66 +1689,279 @@ export default function App() {
             Images
           </h2>
           <div className="grid-3">
-            <div>
-              <p className="small-text">Original (grayscale)</p>
-              <canvas ref={originalCanvasRef} className="preview" />
-            </div>
-            <div>
-              <p className="small-text">DCT Reconstruction</p>
-              <canvas ref={dctCanvasRef} className="preview" />
-            </div>
-            <div>
-              <p className="small-text">Hadamard Reconstruction</p>
-              <canvas ref={hadCanvasRef} className="preview" />
-            </div>
-          </div>
-          <div style={{ marginTop: "1rem" }} className="grid-3">
             <div>
               <p className="small-text">
-                PCA (Learned Transform) Reconstruction
+                Original ({loadedColorMode === "gray" ? "grayscale" : `YCbCr ${loadedColorMode}`})
               </p>
-              <canvas ref={pcaCanvasRef} className="preview" />
+              <canvas
+                ref={originalCanvasRef}
+                className="preview inspectable"
+                tabIndex={0}
+                onClick={handleOriginalClick}
+                onKeyDown={handleOriginalKeyDown}
+              />
             </div>
+            {[...ALL_TRANSFORMS, CORPUS_PCA_TRANSFORM].map((t) => (
+              <div key={t.id}>
+                <p className="small-text">
+                  {t.label} Reconstruction
+                  {metrics &&
+                    !metrics.results.some((r) => r.id === t.id) &&
+                    (t.id === CORPUS_PCA_TRANSFORM.id
+                      ? " (no basis for this block size)"
+                      : " (needs a power-of-two block size)")}
+                </p>
+                <canvas
+                  ref={(el) => {
+                    reconCanvasRefs.current[t.id] = el;
+                  }}
+                  className="preview"
+                />
+              </div>
+            ))}
           </div>
 
+          {waveletFilter !== "none" && loadedColorMode === "gray" && (
+            <div className="grid-3">
+              <div>
+                <p className="small-text">
+                  DWT Reconstruction (full image)
+                  {waveletInfo &&
+                    ` · ${waveletInfo.label}, ${waveletInfo.levels} levels`}
+                </p>
+                <canvas ref={waveletCanvasRef} className="preview" />
+              </div>
+              <div>
+                <p className="small-text">
+                  Subband mosaic (LL top-left, |detail| per band)
+                </p>
+                <canvas ref={waveletMosaicCanvasRef} className="preview" />
+              </div>
+              {waveletInfo && (
+                <div>
+                  <p className="small-text">
+                    PSNR {waveletInfo.psnr.toFixed(3)} dB ·{" "}
+                    {waveletInfo.bpp.toFixed(3)} bpp · nonzero{" "}
+                    {(waveletInfo.keptFraction * 100).toFixed(1)}%
+                  </p>
+                  <p className="small-text">
+                    One global threshold (or one quantizer step) over all
+                    subbands, coded coarse-to-fine with the same arithmetic
+                    coder as the block transforms.
+                  </p>
+                </div>
+              )}
+            </div>
+          )}
+
+          {hybridModes && (
+            <div className="grid-3">
+              <div>
+                <p className="small-text">
+                  Hybrid Reconstruction (λ = {hybridModes.lambda})
+                </p>
+                <canvas ref={hybridCanvasRef} className="preview" />
+              </div>
+              <div>
+                <p className="small-text">Transform chosen per block</p>
+                <canvas
+                  ref={modeMapCanvasRef}
+                  className="preview pixelated"
+                />
+              </div>
+              <div>
+                <ul className="mode-legend">
+                  {hybridModes.candidates.map((c) => (
+                    <li key={c.id} className="small-text">
+                      <span
+                        className="mode-swatch"
+                        style={{ background: c.color }}
+                      />
+                      {c.label}: {c.count} blocks (
+                      {(
+                        (100 * c.count) /
+                        hybridModes.modes.length
+                      ).toFixed(1)}
+                      %)
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            </div>
+          )}
+
+          <BlockInspector data={inspectorData} block={inspectedBlock} />
+
+          <ErrorMaps data={errorData} />
+
           {metrics && (
             <div className="metrics-highlight">
               <div className="metrics-header">
                 <span className="metrics-pill">Key output</span>
                 <span className="metrics-rate">
-                  Rate ≈ k/d = {(metrics.kShow / metrics.d).toFixed(3)}
+                  {metrics.mode === "quant"
+                    ? `${metrics.quantizer} quantizer, quality ${metrics.quality}`
+                    : metrics.mode === "energy"
+                      ? `Energy target ${(metrics.energy * 100).toFixed(1)}% per block`
+                      : `${metrics.mode === "global" ? "Global budget, " : ""}` +
+                        `${ZONAL_MASKS[metrics.mode]?.label ?? ""}` +
+                        `${ZONAL_MASKS[metrics.mode] ? ", " : ""}` +
+                        `Rate ≈ k/d = ${(metrics.kShow / metrics.d).toFixed(3)}`}
                 </span>
               </div>
 
               <h3 className="metrics-title">
-                Metrics at k = {metrics.kShow}{" "}
+                {metrics.mode === "quant"
+                  ? `Metrics at quality = ${metrics.quality}`
+                  : metrics.mode === "energy"
+                    ? `Metrics at energy = ${(metrics.energy * 100).toFixed(1)}%`
+                    : metrics.mode === "global"
+                      ? `Metrics at K = ${metrics.kShow} × blocks`
+                      : `Metrics at k = ${metrics.kShow}`}{" "}
                 <span className="metrics-subtitle">
-                  (kept coeffs/block, d = {metrics.d})
+                  (entropy-coded bits per pixel shown per transform, d ={" "}
+                  {metrics.d})
                 </span>
               </h3>
 
               <ul className="metrics-list">
-                <li>
-                  <span className="metrics-label">DCT PSNR</span>
-                  <span className="metrics-value">
-                    {metrics.P_dct.toFixed(3)} dB
-                  </span>
-                </li>
-                <li>
-                  <span className="metrics-label">Hadamard PSNR</span>
-                  <span className="metrics-value">
-                    {metrics.P_had.toFixed(3)} dB
-                  </span>
-                </li>
-                <li>
-                  <span className="metrics-label">PCA (learned) PSNR</span>
-                  <span className="metrics-value">
-                    {metrics.P_pca.toFixed(3)} dB
-                  </span>
-                </li>
+                {metrics.results.map((r) => (
+                  <li key={r.label}>
+                    <span className="metrics-label">
+                      {r.label} {r.channels ? "RGB PSNR" : "PSNR"} ·{" "}
+                      {r.bpp.toFixed(3)} bpp
+                      {r.sideInfoBpp > 0 &&
+                        ` + ${r.sideInfoBpp.toFixed(3)} bpp side info`}
+                      {r.modeBpp !== undefined &&
+                        ` (incl. ${r.modeBpp.toFixed(4)} bpp modes)`}
+                      {r.fraction !== null &&
+                        ` · nonzero ${(r.fraction * 100).toFixed(1)}%`}
+                    </span>
+                    <span className="metrics-value">
+                      {r.psnr.toFixed(3)} dB
+                    </span>
+                    {r.id === "pca" && corpusResult && (
+                      <span className="metrics-label">
+                        Train/test gap vs corpus basis:{" "}
+                        {(r.psnr - corpusResult.psnr).toFixed(2)} dB (in-sample{" "}
+                        {r.psnr.toFixed(2)}, held-out{" "}
+                        {corpusResult.psnr.toFixed(2)})
+                      </span>
+                    )}
+                    {r.channels && (
+                      <span className="metrics-label">
+                        Y {r.channels.Y.toFixed(2)} · Cb{" "}
+                        {r.channels.Cb.toFixed(2)} · Cr{" "}
+                        {r.channels.Cr.toFixed(2)} dB
+                      </span>
+                    )}
+                  </li>
+                ))}
               </ul>
+              {metrics.kShow !== metrics.analysisK && (
+                <p className="small-text">
+                  Live k = {metrics.kShow}: the block-transform PSNR, bpp,
+                  metrics and reconstructions follow the slider; hybrid and DWT
+                  stay at k = {metrics.analysisK} until the next run.
+                </p>
+              )}
+
+              <table className="metrics-table">
+                <thead>
+                  <tr>
+                    <th>
+                      {metrics.subsampling ? "Metric (on luma)" : "Metric"}
+                    </th>
+                    {metrics.results.map((r) => (
+                      <th key={r.label}>{r.label}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {METRICS.filter((mt) => mt.key !== "psnr").map((mt) => (
+                    <tr key={mt.key}>
+                      <td>{mt.label}</td>
+                      {metrics.results.map((r) => (
+                        <td key={r.label}>
+                          {r.values
+                            ? r.values[mt.key].toFixed(
+                                mt.higherIsBetter ? 4 : 2
+                              )
+                            : "…"}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
             </div>
           )}
+
+          <div className="codec-panel">
+            <h3 className="metrics-title">Compressed file</h3>
+            <div className="controls">
+              <div className="controls-group">
+                <label>Transform to save</label>
+                <select
+                  value={saveTransform}
+                  onChange={(e) => setSaveTransform(e.target.value)}
+                >
+                  {ALL_TRANSFORMS.map((t) => (
+                    <option key={t.id} value={t.id}>
+                      {t.id === "pca" ? "PCA (basis + mean stored)" : t.label}
+                    </option>
+                  ))}
+                  {corpusResult && (
+                    <option value={CORPUS_PCA_TRANSFORM.id}>
+                      PCA corpus (basis + mean stored)
+                    </option>
+                  )}
+                </select>
+                <button
+                  type="button"
+                  onClick={handleDownloadCompressed}
+                  disabled={!metrics || metrics.subsampling || isRunning}
+                >
+                  Download compressed file
+                </button>
+                <span className="small-text">
+                  Files store the grayscale pipeline only.
+                </span>
+              </div>
+              <div className="controls-group">
+                <label>Load compressed file</label>
+                <input
+                  type="file"
+                  accept=".tvc"
+                  onChange={(e) => handleLoadCompressed(e.target.files[0])}
+                />
+                {decodedInfo && (
+                  <span className="small-text">
+                    {decodedInfo.name}: {decodedInfo.transform}, B ={" "}
+                    {decodedInfo.B}, {decodedInfo.width}×{decodedInfo.height},{" "}
+                    {decodedInfo.selection}
+                    <br />
+                    File {decodedInfo.fileBytes} bytes ={" "}
+                    {decodedInfo.fileBpp.toFixed(3)} bpp (payload{" "}
+                    {decodedInfo.payloadBpp.toFixed(3)} bpp
+                    {decodedInfo.estimatedBpp !== null &&
+                      `, estimated ${decodedInfo.estimatedBpp.toFixed(3)} bpp`}
+                    )
+                    {decodedInfo.psnr !== null && (
+                      <>
+                        <br />
+                        PSNR vs loaded image: {decodedInfo.psnr.toFixed(3)} dB
+                      </>
+                    )}
+                  </span>
+                )}
+              </div>
+              <div className="controls-group">
+                <label>Decoded from file</label>
+                <canvas ref={decodedCanvasRef} className="preview" />
+              </div>
+            </div>
+          </div>
         </section>
 
         {/* 3. Plots */}
@@ -791,12 +1980,43 @@ export default function App() {
             </div>
             <div>
               <p className="small-text">
-                Rate–distortion: PSNR vs fraction of kept coefficients per
-                block.
+                Rate–distortion: quality vs entropy-coded bits per pixel
+                (zigzag scan, run-length + adaptive arithmetic coding).
               </p>
+              <select
+                className="chart-select"
+                value={rdMetric}
+                onChange={(e) => setRdMetric(e.target.value)}
+              >
+                {METRICS.map((mt) => (
+                  <option key={mt.key} value={mt.key}>
+                    y-axis: {mt.label}
+                  </option>
+                ))}
+              </select>
               <canvas ref={rdCanvasRef} className="preview" />
+              {rdMeasured && !rdMeasured.includes(rdMetric) && (
+                <span className="small-text">
+                  This run measured the curves in{" "}
+                  {rdMeasured
+                    .map((key) => METRICS.find((mt) => mt.key === key).label)
+                    .join(" and ")}{" "}
+                  only; run the analysis again to plot this metric.
+                </span>
+              )}
+            </div>
+            <div>
+              <p className="small-text">
+                Kept coefficients per block at the operating point above
+                (nonzero after quantization; luma in color mode).
+              </p>
+              <canvas ref={histCanvasRef} className="preview" />
             </div>
           </div>
+          <BjontegaardTable results={rdCurves} />
+          <CoefficientStats data={coefficientStats} />
+          <SweepResults data={sweepResults} />
+          <CorpusSweep data={corpusSweep} />
         </section>
 
         {/* 4. Matrices */}
@@ -811,8 +2031,8 @@ export default function App() {
               <div className="matrix-wrapper">
                 <table className="matrix">
                   <tbody>
-                    {dctMatrix &&
-                      dctMatrix.map((row, i) => (
+                    {matrices &&
+                      matrices.dct.map((row, i) => (
                         <tr key={i}>
                           {row.map((v, j) => (
                             <td key={j}>{v.toFixed(3)}</td>
@@ -824,15 +2044,26 @@ export default function App() {
               </div>
             </div>
             <div>
-              <p className="small-text">Hadamard 1D (N×N)</p>
+              <select
+                className="chart-select"
+                value={matrixId}
+                onChange={(e) => setMatrixId(e.target.value)}
+              >
+                {FIXED_TRANSFORMS.filter((t) => t.id !== "dct").map((t) => (
+                  <option key={t.id} value={t.id}>
+                    {t.label} 1D (N×N)
+                  </option>
+                ))}
+              </select>
               <div className="matrix-wrapper">
                 <table className="matrix">
                   <tbody>
-                    {hadMatrix &&
-                      hadMatrix.map((row, i) => (
+                    {matrices &&
+                      matrices[matrixId] &&
+                      matrices[matrixId].map((row, i) => (
                         <tr key={i}>
                           {row.map((v, j) => (
-                            <td key={j}>{v.toFixed(1)}</td>
+                            <td key={j}>{v.toFixed(3)}</td>
                           ))}
                         </tr>
                       ))}
@@ -847,6 +2078,21 @@ export default function App() {
               <canvas ref={pcaBasisCanvasRef} className="preview" />
             </div>
           </div>
+          {matrices && (
+            <p className="small-text">
+              Blocks are transformed separably (rows, then columns), with a
+              fast DCT and fast Walsh–Hadamard transform for DCT and
+              Hadamard.{" "}
+              {kroneckerCheck
+                ? "Max |difference| against the B²×B² Kronecker reference: " +
+                  kroneckerCheck
+                    .map((c) => `${c.label} ${c.maxDiff.toExponential(1)}`)
+                    .join(", ") +
+                  "."
+                : "Kronecker reference check skipped for B > 16."}
+            </p>
+          )}
+          <BasisGallery data={basisGallery} />
         </section>
               <section className="card">
         <h2>About the Creator</h2>
@@ -0,0 +1,135 @@
+import React, { useState, useRef, useEffect } from "react";
+
+import {
+  BASIS_CAPTION_HEIGHT,
+  basisMosaicLayoutJS,
+  drawBasisMosaicToCanvas,
+} from "../lib/imageUtils";
+import { DISTRIBUTION_MODELS } from "../lib/coefficientStats";
+
+// Target tile side in pixels; every basis sample gets floor(48 / B) pixels
+const TILE_PIXELS = 48;
+
+const isLearned = (id) => id.startsWith("pca");
+
+// Every 2D basis image of every transform, tiled at its coefficient
+// position. PCA tiles are captioned with the share of the block variance
+// they explain; hovering a tile shows its coefficient statistics.
+// data: { gallery (analysis.basisGallery), stats (analysis.coefficientStats),
+// B }
+export default function BasisGallery({ data }) {
+  const [hover, setHover] = useState(null);
+  const canvasRefs = useRef([]);
+
+  const B = data ? data.B : 0;
+  const scale = Math.max(1, Math.floor(TILE_PIXELS / B));
+
+  useEffect(() => {
+    if (!data || !data.gallery) return;
+    const { gallery, stats } = data;
+    gallery.methods.forEach((g, i) => {
+      const s = stats.find((st) => st.id === g.id);
+      const captions =
+        isLearned(g.id) && s
+          ? Array.from(
+              s.variances,
+              (v) => `${((100 * v) / gallery.totalVariance).toFixed(1)}%`
+            )
+          : null;
+      drawBasisMosaicToCanvas(g.basis, g.count, B, canvasRefs.current[i], {
+        scale,
+        captions,
+      });
+    });
+  }, [data, B, scale]);
+
+  if (!data) return null;
+  if (!data.gallery) {
+    return <p className="small-text">Basis gallery skipped for B &gt; 16.</p>;
+  }
+  const { gallery, stats } = data;
+
+  const handleMove = (g, e) => {
+    const canvas = e.currentTarget;
+    const rect = canvas.getBoundingClientRect();
+    const x = ((e.clientX - rect.left) / rect.width) * canvas.width;
+    const y = ((e.clientY - rect.top) / rect.height) * canvas.height;
+    const layout = basisMosaicLayoutJS(
+      g.count,
+      B,
+      scale,
+      isLearned(g.id) ? BASIS_CAPTION_HEIGHT : 0
+    );
+    const j = layout.tileAt(x, y);
+    setHover(j < 0 ? null : { id: g.id, j });
+  };
+
+  const exportPng = (g, i) => {
+    canvasRefs.current[i].toBlob((blob) => {
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `basis_${g.id}_B${B}.png`;
+      a.click();
+      URL.revokeObjectURL(url);
+    }, "image/png");
+  };
+
+  const hoverText = (g) => {
+    if (!hover || hover.id !== g.id) {
+      return "Hover a basis image for its coefficient statistics.";
+    }
+    const { j } = hover;
+    const where = isLearned(g.id)
+      ? `Component ${j + 1}`
+      : `Position (u = ${Math.floor(j / B)}, v = ${j % B})`;
+    const s = stats.find((st) => st.id === g.id);
+    const pos = s && s.positions[j];
+    if (!pos) return where;
+    const models = Object.keys(DISTRIBUTION_MODELS).filter((m) => pos[m]);
+    const best = models.reduce(
+      (a, b) => (a && pos[a].logLik >= pos[b].logLik ? a : b),
+      null
+    );
+    return (
+      `${where}: σ² ${(pos.variance * 255 * 255).toFixed(2)} (8-bit²), ` +
+      `${((100 * pos.variance) / gallery.totalVariance).toFixed(2)}% of ` +
+      "the block variance" +
+      (best
+        ? `, best fit ${DISTRIBUTION_MODELS[best].label}` +
+          ` (GGD β = ${pos.ggd.beta.toFixed(2)})`
+        : "")
+    );
+  };
+
+  return (
+    <div className="basis-gallery">
+      <h3 className="metrics-title">Basis images</h3>
+      <div className="grid-2">
+        {gallery.methods.map((g, i) => (
+          <div key={g.id}>
+            <div className="error-maps-header">
+              <p className="small-text">{g.label}</p>
+              <button
+                type="button"
+                className="secondary"
+                onClick={() => exportPng(g, i)}
+              >
+                Export PNG
+              </button>
+            </div>
+            <canvas
+              ref={(el) => {
+                canvasRefs.current[i] = el;
+              }}
+              className="mosaic pixelated"
+              onMouseMove={(e) => handleMove(g, e)}
+              onMouseLeave={() => setHover(null)}
+            />
+            <p className="small-text">{hoverText(g)}</p>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,100 @@
+import React, { useState, useMemo } from "react";
+
+import { BD_METHODS, sweepBjontegaardJS } from "../lib/bjontegaard";
+
+// Anchor picked first when the curves include it
+const DEFAULT_ANCHOR = "DCT";
+
+const fmtPsnr = (v) => `${v > 0 ? "+" : ""}${v.toFixed(3)} dB`;
+
+// BD-rate and BD-PSNR of every transform against one anchor, one column
+// per block size. results: sweep rows ({ blockSize, transform, bpp, psnr },
+// with `image` for a corpus, where the deltas are averaged over images).
+export default function BjontegaardTable({ results }) {
+  const [method, setMethod] = useState("pchip");
+  const [anchor, setAnchor] = useState(DEFAULT_ANCHOR);
+
+  const rows = useMemo(
+    () => (results ? sweepBjontegaardJS(results, method) : []),
+    [results, method]
+  );
+  const names = [...new Set(rows.map((r) => r.anchor))];
+  const blockSizes = [...new Set(rows.map((r) => r.blockSize))];
+  if (!names.length) return null;
+  const anchorName = names.includes(anchor) ? anchor : names[0];
+  const images = new Set(results.map((r) => r.image)).size;
+
+  const cell = (test, B) => {
+    const r = rows.find(
+      (e) => e.blockSize === B && e.test === test && e.anchor === anchorName
+    );
+    if (!r || r.bdRate === null) {
+      return (
+        <td key={B}>{r && r.bdPsnr !== null ? fmtPsnr(r.bdPsnr) : "–"}</td>
+      );
+    }
+    return (
+      <td key={B} className={r.bdRate < 0 ? "bd-better" : "bd-worse"}>
+        {r.bdRate > 0 ? "+" : ""}
+        {r.bdRate.toFixed(2)}%{r.bdPsnr !== null && ` / ${fmtPsnr(r.bdPsnr)}`}
+      </td>
+    );
+  };
+
+  return (
+    <div className="bd-table">
+      <div className="error-maps-header">
+        <h3 className="metrics-title">Bjøntegaard deltas</h3>
+        <select
+          className="chart-select"
+          value={anchorName}
+          onChange={(e) => setAnchor(e.target.value)}
+        >
+          {names.map((name) => (
+            <option key={name} value={name}>
+              anchor: {name}
+            </option>
+          ))}
+        </select>
+        <select
+          className="chart-select"
+          value={method}
+          onChange={(e) => setMethod(e.target.value)}
+        >
+          {Object.entries(BD_METHODS).map(([key, { label }]) => (
+            <option key={key} value={key}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </div>
+      <table className="metrics-table">
+        <thead>
+          <tr>
+            <th>vs {anchorName}</th>
+            {blockSizes.map((B) => (
+              <th key={B}>B = {B}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {names
+            .filter((name) => name !== anchorName)
+            .map((name) => (
+              <tr key={name}>
+                <td>{name}</td>
+                {blockSizes.map((B) => cell(name, B))}
+              </tr>
+            ))}
+        </tbody>
+      </table>
+      <span className="small-text">
+        BD-rate / BD-PSNR against the anchor over the overlapping range of the
+        two curves; a negative BD-rate means fewer bits for the same PSNR.
+        Lossless points are left out, and curves with fewer than four points
+        show –.
+        {images > 1 && ` Averaged over ${images} images.`}
+      </span>
+    </div>
+  );
+}
@@ -0,0 +1,131 @@
+import React, { useState, useRef, useEffect, useMemo } from "react";
+
+import { drawGrayToCanvas } from "../lib/imageUtils";
+import { blockPixelsJS, inspectBlockJS } from "../lib/blockInspector";
+
+// Numeric tables are shown up to this block size; larger blocks only get
+// the images.
+const TABLE_MAX_B = 16;
+
+function ValueTable({ values, B, kept = null, scale = 255, digits = 1 }) {
+  const rows = Math.ceil(values.length / B);
+  return (
+    <div className="matrix-wrapper inspector-table">
+      <table className="matrix">
+        <tbody>
+          {Array.from({ length: rows }, (_, r) => (
+            <tr key={r}>
+              {Array.from(values.slice(r * B, (r + 1) * B), (v, c) => (
+                <td
+                  key={c}
+                  className={kept && kept[r * B + c] ? "kept" : undefined}
+                >
+                  {(v * scale).toFixed(digits)}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// One block of the original through every transform of the last analysis,
+// at its own k. data: { image, inspector (analysis.inspector) }; block:
+// { bx, by } or null.
+export default function BlockInspector({ data, block }) {
+  const [k, setK] = useState(16);
+  const pixelCanvasRef = useRef(null);
+  const recCanvasRefs = useRef([]);
+
+  const B = data ? data.inspector.B : 0;
+  const kk = Math.max(1, Math.min(B * B, parseInt(k, 10) || 1));
+
+  const inspected = useMemo(() => {
+    if (!data || !block) return null;
+    const { image, inspector } = data;
+    const pixels = blockPixelsJS(
+      image.gray,
+      image.width,
+      image.height,
+      B,
+      block.bx,
+      block.by,
+      inspector.padMode
+    );
+    return {
+      pixels,
+      results: inspectBlockJS(pixels, inspector.methods, B, kk),
+    };
+  }, [data, block, B, kk]);
+
+  useEffect(() => {
+    if (!inspected) return;
+    drawGrayToCanvas(inspected.pixels, B, B, pixelCanvasRef.current);
+    inspected.results.forEach((r, i) =>
+      drawGrayToCanvas(r.rec, B, B, recCanvasRefs.current[i])
+    );
+  }, [inspected, B]);
+
+  if (!data) return null;
+  if (!block) {
+    return (
+      <div className="block-inspector">
+        <h3 className="metrics-title">Block inspector</h3>
+        <p className="small-text">
+          Click the original image to inspect a block; arrow keys move to the
+          neighbouring blocks.
+        </p>
+      </div>
+    );
+  }
+  const tables = B <= TABLE_MAX_B;
+
+  return (
+    <div className="block-inspector">
+      <div className="error-maps-header">
+        <h3 className="metrics-title">
+          Block inspector: block ({block.bx}, {block.by}), pixels x ={" "}
+          {block.bx * B}…{block.bx * B + B - 1}, y = {block.by * B}…
+          {block.by * B + B - 1}
+        </h3>
+        <label className="small-text">
+          k{" "}
+          <input
+            type="number"
+            min="1"
+            max={B * B}
+            value={k}
+            onChange={(e) => setK(e.target.value)}
+          />
+        </label>
+      </div>
+      <div className="grid-3">
+        <div>
+          <p className="small-text">Original block (8-bit values)</p>
+          <canvas ref={pixelCanvasRef} className="block-preview pixelated" />
+          {tables && <ValueTable values={inspected.pixels} B={B} digits={0} />}
+        </div>
+        {inspected.results.map((r, i) => (
+          <div key={r.id}>
+            <p className="small-text">
+              {r.label}: block PSNR {r.psnr.toFixed(2)} dB at k = {kk}
+            </p>
+            <canvas
+              ref={(el) => {
+                recCanvasRefs.current[i] = el;
+              }}
+              className="block-preview pixelated"
+            />
+            {tables && <ValueTable values={r.coeffs} B={B} kept={r.kept} />}
+          </div>
+        ))}
+      </div>
+      <span className="small-text">
+        Coefficients in 8-bit units; highlighted cells are the ones keepTopK
+        keeps. Arrow keys on the original image move the selection.
+      </span>
+    </div>
+  );
+}
@@ -0,0 +1,280 @@
+import React, { useState, useRef, useEffect, useMemo } from "react";
+import { Chart } from "chart.js";
+
+import { drawBlockMapToCanvas } from "../lib/imageUtils";
+import {
+  DISTRIBUTION_MODELS,
+  distributionPdfJS,
+} from "../lib/coefficientStats";
+
+// Coefficients are shown in 8-bit gray-level units
+const SCALE = 255;
+
+// Points per fitted density curve
+const CURVE_POINTS = 121;
+
+const logVariance = (v) => Math.log10(v * SCALE * SCALE + 1e-6);
+
+// log10 variance of every position on a B×B grid, above the shared minimum
+// (positions beyond m, e.g. dropped PCA components, stay at the minimum).
+function logVarianceMap(variances, d, min) {
+  const values = new Float64Array(d);
+  variances.forEach((v, j) => (values[j] = logVariance(v) - min));
+  return values;
+}
+
+function drawFitChart(canvas, chartRef, pos) {
+  if (!canvas) return;
+  if (chartRef.current) {
+    chartRef.current.destroy();
+    chartRef.current = null;
+  }
+  if (!pos) return;
+  const { lo, width, density } = pos.histogram;
+  const hi = pos.histogram.hi;
+  const hist = Array.from(density, (y, i) => ({
+    x: (lo + (i + 0.5) * width) * SCALE,
+    y: y / SCALE,
+  }));
+  const fits = Object.entries(DISTRIBUTION_MODELS)
+    .filter(([model]) => pos[model])
+    .map(([model, { label, color }]) => ({
+      label,
+      data: Array.from({ length: CURVE_POINTS }, (_, i) => {
+        const x = lo + ((hi - lo) * i) / (CURVE_POINTS - 1);
+        return { x: x * SCALE, y: distributionPdfJS(pos, model, x) / SCALE };
+      }),
+      borderColor: color,
+      borderWidth: 1.5,
+      pointRadius: 0,
+    }));
+  chartRef.current = new Chart(canvas.getContext("2d"), {
+    type: "line",
+    data: {
+      datasets: [
+        {
+          label: "Histogram",
+          data: hist,
+          borderColor: "#9ca3af",
+          stepped: "middle",
+          pointRadius: 0,
+        },
+        ...fits,
+      ],
+    },
+    options: {
+      responsive: true,
+      plugins: {
+        legend: { labels: { color: "#e5e7eb" } },
+      },
+      scales: {
+        x: {
+          type: "linear",
+          title: {
+            display: true,
+            text: "Coefficient value (8-bit units)",
+            color: "#9ca3af",
+          },
+          ticks: { color: "#9ca3af" },
+          grid: { color: "#1f2937" },
+        },
+        y: {
+          title: { display: true, text: "Density", color: "#9ca3af" },
+          ticks: { color: "#9ca3af" },
+          grid: { color: "#1f2937" },
+        },
+      },
+    },
+  });
+}
+
+// Per-position variance heatmaps of every transform; clicking a cell shows
+// that position's histogram with Gaussian, Laplacian and generalized
+// Gaussian fits. data: { stats (analysis.coefficientStats), B }
+export default function CoefficientStats({ data }) {
+  const [methodId, setMethodId] = useState(null);
+  const [position, setPosition] = useState(1);
+  const canvasRefs = useRef([]);
+  const chartCanvasRef = useRef(null);
+  const chartRef = useRef(null);
+
+  const method =
+    data && (data.stats.find((s) => s.id === methodId) || data.stats[0]);
+  const pos = method
+    ? method.positions[Math.min(position, method.positions.length - 1)]
+    : null;
+
+  const scale = useMemo(() => {
+    if (!data) return null;
+    let min = Infinity;
+    let max = -Infinity;
+    for (const s of data.stats) {
+      for (const v of s.variances) {
+        min = Math.min(min, logVariance(v));
+        max = Math.max(max, logVariance(v));
+      }
+    }
+    return { min, max };
+  }, [data]);
+
+  useEffect(() => {
+    if (!data) return;
+    const { B } = data;
+    data.stats.forEach((s, i) => {
+      drawBlockMapToCanvas(
+        logVarianceMap(s.variances, B * B, scale.min),
+        { ncols: B, B: 1 },
+        B,
+        B,
+        canvasRefs.current[i],
+        scale.max - scale.min
+      );
+    });
+  }, [data, scale]);
+
+  useEffect(() => {
+    drawFitChart(chartCanvasRef.current, chartRef, pos);
+  }, [pos]);
+
+  useEffect(
+    () => () => {
+      if (chartRef.current) chartRef.current.destroy();
+    },
+    []
+  );
+
+  if (!data) return null;
+  const { B } = data;
+  const m = method.positions.length;
+  const index = Math.min(position, m - 1);
+
+  const selectCell = (s, e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const u = Math.floor(((e.clientY - rect.top) / rect.height) * B);
+    const v = Math.floor(((e.clientX - rect.left) / rect.width) * B);
+    const j = Math.min(B - 1, Math.max(0, u)) * B + Math.min(B - 1, v);
+    setMethodId(s.id);
+    if (j < s.positions.length) setPosition(j);
+  };
+
+  const best = pos
+    ? Object.keys(DISTRIBUTION_MODELS)
+        .filter((model) => pos[model])
+        .reduce((a, b) => (a && pos[a].logLik >= pos[b].logLik ? a : b), null)
+    : null;
+  const fmt = (v) => (v * SCALE).toFixed(3);
+
+  return (
+    <div className="coefficient-stats">
+      <div className="error-maps-header">
+        <h3 className="metrics-title">Coefficient statistics</h3>
+        <select
+          className="chart-select"
+          value={method.id}
+          onChange={(e) => setMethodId(e.target.value)}
+        >
+          {data.stats.map((s) => (
+            <option key={s.id} value={s.id}>
+              {s.label}
+            </option>
+          ))}
+        </select>
+        <label className="small-text">
+          Position{" "}
+          <input
+            type="number"
+            min="0"
+            max={m - 1}
+            value={index}
+            onChange={(e) =>
+              setPosition(Math.max(0, parseInt(e.target.value, 10) || 0))
+            }
+          />{" "}
+          {method.id.startsWith("pca")
+            ? `(component ${index + 1})`
+            : `(u = ${Math.floor(index / B)}, v = ${index % B})`}
+        </label>
+      </div>
+      <div className="stats-heatmaps">
+        {data.stats.map((s, i) => (
+          <div key={s.id}>
+            <p className="small-text">{s.label}</p>
+            <canvas
+              ref={(el) => {
+                canvasRefs.current[i] = el;
+              }}
+              className={
+                s.id === method.id
+                  ? "preview pixelated heatmap selected"
+                  : "preview pixelated heatmap"
+              }
+              onClick={(e) => selectCell(s, e)}
+            />
+          </div>
+        ))}
+      </div>
+      <div className="error-legend heat" />
+      <span className="small-text">
+        Shared scale: log₁₀ variance per position from {scale.min.toFixed(1)} to{" "}
+        {scale.max.toFixed(1)} (8-bit² units). PCA components are laid out row
+        by row. Click a cell to inspect it.
+      </span>
+      <div className="grid-2">
+        <div>
+          <canvas ref={chartCanvasRef} className="preview" />
+        </div>
+        {pos && (
+          <div>
+            <p className="small-text">
+              {method.label}, position {index}: {pos.n} blocks, mean{" "}
+              {fmt(pos.mean)}, σ² {(pos.variance * SCALE * SCALE).toFixed(3)}
+              {pos.histogram.outside > 0 &&
+                `, ${pos.histogram.outside} outside the plotted ±5σ`}
+            </p>
+            {best ? (
+              <table className="matrix">
+                <thead>
+                  <tr>
+                    <th>Model</th>
+                    <th>Parameters</th>
+                    <th>Log-likelihood / coefficient</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {Object.entries(DISTRIBUTION_MODELS).map(
+                    ([model, { label }]) => (
+                      <tr key={model}>
+                        <td>
+                          {label}
+                          {model === best && " ✓"}
+                        </td>
+                        <td>
+                          {model === "gaussian" &&
+                            `σ = ${fmt(pos.gaussian.sigma)}`}
+                          {model === "laplacian" &&
+                            `b = ${fmt(pos.laplacian.b)}`}
+                          {model === "ggd" &&
+                            `α = ${fmt(pos.ggd.alpha)}, β = ${pos.ggd.beta.toFixed(2)}`}
+                        </td>
+                        <td>
+                          {(pos[model].logLik - Math.log(SCALE)).toFixed(3)}{" "}
+                          nats
+                        </td>
+                      </tr>
+                    )
+                  )}
+                </tbody>
+              </table>
+            ) : (
+              <p className="small-text">Constant position: nothing to fit.</p>
+            )}
+            <p className="small-text">
+              β = 1 is Laplacian, β = 2 Gaussian; ✓ marks the highest
+              likelihood.
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
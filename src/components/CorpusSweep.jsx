@@ -0,0 +1,257 @@
+import React, { useState, useRef, useEffect, useMemo } from "react";
+import { Chart } from "chart.js";
+
+import { ALL_TRANSFORMS } from "../lib/transformCatalog";
+import { corpusSweepCsvJS, rankTransformsJS } from "../lib/corpusSweep";
+import BjontegaardTable from "./BjontegaardTable";
+
+const COLORS = Object.fromEntries(ALL_TRANSFORMS.map((t) => [t.name, t.color]));
+
+// Draws every point's 95% confidence interval as a cross of error bars
+// (xCi, yCi on the data points; null below two images).
+const confidenceBars = {
+  id: "confidenceBars",
+  afterDatasetsDraw(chart) {
+    const { ctx, scales } = chart;
+    ctx.save();
+    chart.data.datasets.forEach((ds, i) => {
+      if (!chart.isDatasetVisible(i)) return;
+      ctx.strokeStyle = ds.borderColor;
+      ctx.lineWidth = 1;
+      for (const p of ds.data) {
+        const x = scales.x.getPixelForValue(p.x);
+        const y = scales.y.getPixelForValue(p.y);
+        ctx.beginPath();
+        if (p.yCi) {
+          ctx.moveTo(x, scales.y.getPixelForValue(p.y - p.yCi));
+          ctx.lineTo(x, scales.y.getPixelForValue(p.y + p.yCi));
+        }
+        if (p.xCi) {
+          ctx.moveTo(scales.x.getPixelForValue(p.x - p.xCi), y);
+          ctx.lineTo(scales.x.getPixelForValue(p.x + p.xCi), y);
+        }
+        ctx.stroke();
+      }
+    });
+    ctx.restore();
+  },
+};
+
+function drawMeanRdChart(canvas, chartRef, rows) {
+  if (!canvas) return;
+  if (chartRef.current) {
+    chartRef.current.destroy();
+  }
+  const transforms = [...new Set(rows.map((r) => r.transform))];
+  chartRef.current = new Chart(canvas.getContext("2d"), {
+    type: "line",
+    data: {
+      datasets: transforms.map((name) => ({
+        label: name,
+        data: rows
+          .filter((r) => r.transform === name)
+          .map((r) => ({ x: r.bpp, y: r.psnr, xCi: r.bppCi, yCi: r.psnrCi }))
+          .sort((a, b) => a.x - b.x),
+        borderColor: COLORS[name] || "#e5e7eb",
+        tension: 0.2,
+      })),
+    },
+    options: {
+      responsive: true,
+      plugins: {
+        legend: { labels: { color: "#e5e7eb" } },
+      },
+      scales: {
+        x: {
+          type: "linear",
+          title: {
+            display: true,
+            text: "Mean rate (bits per pixel, entropy-coded)",
+            color: "#9ca3af",
+          },
+          ticks: { color: "#9ca3af" },
+          grid: { color: "#1f2937" },
+        },
+        y: {
+          title: { display: true, text: "Mean PSNR (dB)", color: "#9ca3af" },
+          ticks: { color: "#9ca3af" },
+          grid: { color: "#1f2937" },
+        },
+      },
+    },
+    plugins: [confidenceBars],
+  });
+}
+
+function download(text, type, filename) {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// Results of a sweep over several images: the mean RD curves of one block
+// size with 95% confidence bars, how often each transform wins, the winner
+// on every image and the BD deltas. data: runCorpusSweepJS output.
+export default function CorpusSweep({ data }) {
+  const [blockSize, setBlockSize] = useState(null);
+  const canvasRef = useRef(null);
+  const chartRef = useRef(null);
+
+  const blockSizes = useMemo(
+    () => (data ? [...new Set(data.aggregate.map((r) => r.blockSize))] : []),
+    [data]
+  );
+  const B = blockSizes.includes(blockSize) ? blockSize : blockSizes[0];
+
+  const perImage = useMemo(() => {
+    if (!data) return [];
+    return data.images.map((image) => {
+      const rows = data.results.filter((r) => r.image === image.name);
+      const winner = rankTransformsJS(rows).find((r) => r.blockSize === B);
+      return { ...image, winner };
+    });
+  }, [data, B]);
+
+  useEffect(() => {
+    if (!data) return;
+    drawMeanRdChart(
+      canvasRef.current,
+      chartRef,
+      data.aggregate.filter((r) => r.blockSize === B)
+    );
+  }, [data, B]);
+
+  useEffect(
+    () => () => {
+      if (chartRef.current) chartRef.current.destroy();
+    },
+    []
+  );
+
+  if (!data) return null;
+
+  const overall = data.rankings.filter((r) => r.blockSize === null);
+  const share = (name, size) => {
+    const r = data.rankings.find(
+      (e) => e.blockSize === size && e.transform === name
+    );
+    return r ? `${(r.share * 100).toFixed(0)}%` : "–";
+  };
+
+  return (
+    <div className="corpus-sweep">
+      <div className="error-maps-header">
+        <h3 className="metrics-title">
+          Corpus sweep: {data.images.length} image(s)
+        </h3>
+        <select
+          className="chart-select"
+          value={B}
+          onChange={(e) => setBlockSize(parseInt(e.target.value, 10))}
+        >
+          {blockSizes.map((size) => (
+            <option key={size} value={size}>
+              B = {size}
+            </option>
+          ))}
+        </select>
+        <button
+          type="button"
+          className="secondary"
+          onClick={() =>
+            download(
+              corpusSweepCsvJS(data),
+              "text/csv",
+              "corpus_sweep_results.csv"
+            )
+          }
+        >
+          Export CSV
+        </button>
+        <button
+          type="button"
+          className="secondary"
+          onClick={() =>
+            download(
+              JSON.stringify(data, null, 1),
+              "application/json",
+              "corpus_sweep_results.json"
+            )
+          }
+        >
+          Export JSON
+        </button>
+      </div>
+      <div className="grid-2">
+        <div>
+          <canvas ref={canvasRef} className="preview" />
+          <span className="small-text">
+            Mean over images at every swept parameter; bars are 95% confidence
+            intervals of the mean (Student t, shown from two images on).
+          </span>
+        </div>
+        <div>
+          <table className="metrics-table">
+            <thead>
+              <tr>
+                <th>Transform</th>
+                {blockSizes.map((size) => (
+                  <th key={size}>B = {size}</th>
+                ))}
+                <th>All</th>
+                <th>Mean rank</th>
+              </tr>
+            </thead>
+            <tbody>
+              {overall.map((r) => (
+                <tr key={r.transform}>
+                  <td>{r.transform}</td>
+                  {blockSizes.map((size) => (
+                    <td key={size}>{share(r.transform, size)}</td>
+                  ))}
+                  <td>{share(r.transform, null)}</td>
+                  <td>{r.meanRank.toFixed(2)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <span className="small-text">
+            Share of wins at matched rate: on every image and block size the
+            curves are compared at 8 bpp points spread over the range they all
+            cover, each point won by the highest interpolated PSNR (ties split
+            the win).
+          </span>
+          <table className="metrics-table">
+            <thead>
+              <tr>
+                <th>Image</th>
+                <th>Size</th>
+                <th>Most wins at B = {B}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {perImage.map((image) => (
+                <tr key={image.name}>
+                  <td>{image.name}</td>
+                  <td>
+                    {image.width}×{image.height}
+                  </td>
+                  <td>
+                    {image.winner
+                      ? `${image.winner.transform} (${(image.winner.share * 100).toFixed(0)}%)`
+                      : "–"}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+      <BjontegaardTable results={data.results} />
+    </div>
+  );
+}
@@ -0,0 +1,114 @@
+import React, { useState, useRef, useEffect, useMemo } from "react";
+
+import {
+  drawDivergingToCanvas,
+  drawBlockMapToCanvas,
+  drawBlockGridOverlay,
+} from "../lib/imageUtils";
+import { differenceImageJS, blockMseMapJS } from "../lib/metrics";
+
+// Signed-difference and per-block MSE views of each reconstruction against
+// the original. All panels share one color scale so transforms compare
+// directly.
+export default function ErrorMaps({ data }) {
+  const [view, setView] = useState("diff");
+  const [showGrid, setShowGrid] = useState(true);
+  const canvasRefs = useRef([]);
+
+  const maps = useMemo(() => {
+    if (!data) return null;
+    const { original, recs, width, height, B } = data;
+    if (view === "diff") {
+      const diffs = recs.map((r) => differenceImageJS(original, r.gray));
+      let maxAbs = 0;
+      for (const diff of diffs) {
+        for (let i = 0; i < diff.length; i++) {
+          maxAbs = Math.max(maxAbs, Math.abs(diff[i]));
+        }
+      }
+      return { values: diffs, scale: maxAbs };
+    }
+    const blockMaps = recs.map((r) =>
+      blockMseMapJS(original, r.gray, width, height, B)
+    );
+    let maxVal = 0;
+    for (const m of blockMaps) {
+      for (const v of m.values) maxVal = Math.max(maxVal, v);
+    }
+    return { values: blockMaps, scale: maxVal };
+  }, [data, view]);
+
+  useEffect(() => {
+    if (!data || !maps) return;
+    const { width, height, B } = data;
+    maps.values.forEach((m, i) => {
+      const canvas = canvasRefs.current[i];
+      if (view === "diff") {
+        drawDivergingToCanvas(m, width, height, canvas, maps.scale);
+      } else {
+        drawBlockMapToCanvas(
+          m.values,
+          m.shape,
+          width,
+          height,
+          canvas,
+          maps.scale
+        );
+      }
+      if (showGrid) drawBlockGridOverlay(canvas, B);
+    });
+  }, [data, maps, view, showGrid]);
+
+  if (!data) return null;
+
+  const scaleText =
+    view === "diff"
+      ? `±${(maps.scale * 255).toFixed(1)} gray levels ` +
+        "(blue = too dark, red = too bright)"
+      : `0 – ${(maps.scale * 255 * 255).toFixed(1)} MSE (8-bit²) per block`;
+
+  return (
+    <div className="error-maps">
+      <div className="error-maps-header">
+        <h3 className="metrics-title">Error maps</h3>
+        <select
+          className="chart-select"
+          value={view}
+          onChange={(e) => setView(e.target.value)}
+        >
+          <option value="diff">Signed difference</option>
+          <option value="blockmse">Per-block MSE</option>
+        </select>
+        <label className="small-text">
+          <input
+            type="checkbox"
+            checked={showGrid}
+            onChange={(e) => setShowGrid(e.target.checked)}
+          />{" "}
+          Block grid
+        </label>
+      </div>
+      <div className="grid-3">
+        {data.recs.map((r, i) => (
+          <div key={r.label}>
+            <p className="small-text">{r.label}</p>
+            <canvas
+              ref={(el) => {
+                canvasRefs.current[i] = el;
+              }}
+              className="preview pixelated"
+            />
+          </div>
+        ))}
+      </div>
+      <div
+        className={
+          view === "diff" ? "error-legend diverging" : "error-legend heat"
+        }
+      />
+      <span className="small-text">
+        Shared scale{data.luma ? " (luma)" : ""}: {scaleText}
+      </span>
+    </div>
+  );
+}
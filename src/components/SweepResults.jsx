@@ -0,0 +1,246 @@
+import React, { useState, useRef, useEffect, useMemo } from "react";
+import { Chart } from "chart.js";
+
+import { ALL_TRANSFORMS } from "../lib/transformCatalog";
+import { METRICS } from "../lib/metrics";
+import { sweepCsvJS, sweepMetricKeysJS } from "../lib/corpusSweep";
+import BjontegaardTable from "./BjontegaardTable";
+
+const COLORS = Object.fromEntries(ALL_TRANSFORMS.map((t) => [t.name, t.color]));
+
+const METRIC_LABELS = Object.fromEntries(METRICS.map((m) => [m.key, m.label]));
+
+// Swept parameter column, named after the mode the sweep ran in
+function paramColumn(rows) {
+  const first = rows[0];
+  if (first.quality !== null) {
+    return { key: "quality", label: "Quality", format: (v) => v };
+  }
+  if (first.energyTarget !== null) {
+    return {
+      key: "energyTarget",
+      label: "Energy target",
+      format: (v) => `${(v * 100).toFixed(1)}%`,
+    };
+  }
+  return { key: "k", label: "k", format: (v) => v };
+}
+
+function drawSmallMultiple(canvas, chartRef, rows, metricKey) {
+  if (!canvas) return;
+  if (chartRef.current) {
+    chartRef.current.destroy();
+  }
+  const transforms = [...new Set(rows.map((r) => r.transform))];
+  chartRef.current = new Chart(canvas.getContext("2d"), {
+    type: "line",
+    data: {
+      datasets: transforms.map((name) => ({
+        label: name,
+        data: rows
+          .filter((r) => r.transform === name)
+          .map((r) => ({ x: r.bpp, y: r[metricKey] }))
+          .sort((a, b) => a.x - b.x),
+        borderColor: COLORS[name] || "#e5e7eb",
+        borderWidth: 1.5,
+        pointRadius: 2,
+        tension: 0.2,
+      })),
+    },
+    options: {
+      responsive: true,
+      plugins: {
+        legend: { display: false },
+      },
+      scales: {
+        x: {
+          type: "linear",
+          title: { display: true, text: "bpp", color: "#9ca3af" },
+          ticks: { color: "#9ca3af" },
+          grid: { color: "#1f2937" },
+        },
+        y: {
+          title: {
+            display: true,
+            text: METRIC_LABELS[metricKey],
+            color: "#9ca3af",
+          },
+          ticks: { color: "#9ca3af" },
+          grid: { color: "#1f2937" },
+        },
+      },
+    },
+  });
+}
+
+// Results of the single-image sweep: one small RD chart per block size on a
+// shared legend, the BD deltas between transforms, and every point in a
+// table sorted by any column.
+// data: runSweepJS rows.
+export default function SweepResults({ data }) {
+  const [metricKey, setMetricKey] = useState("psnr");
+  const [sort, setSort] = useState({ key: "blockSize", dir: 1 });
+  const canvasRefs = useRef({});
+  const chartRefs = useRef({});
+
+  const metricKeys = useMemo(
+    () => (data ? ["psnr", ...sweepMetricKeysJS(data)] : []),
+    [data]
+  );
+  const yKey = metricKeys.includes(metricKey) ? metricKey : "psnr";
+  const blockSizes = useMemo(
+    () => (data ? [...new Set(data.map((r) => r.blockSize))] : []),
+    [data]
+  );
+
+  useEffect(() => {
+    if (!data) return;
+    for (const [B, ref] of Object.entries(chartRefs.current)) {
+      if (blockSizes.includes(Number(B)) || !ref.current) continue;
+      ref.current.destroy();
+      ref.current = null;
+    }
+    for (const B of blockSizes) {
+      chartRefs.current[B] ||= { current: null };
+      drawSmallMultiple(
+        canvasRefs.current[B],
+        chartRefs.current[B],
+        data.filter((r) => r.blockSize === B),
+        yKey
+      );
+    }
+  }, [data, blockSizes, yKey]);
+
+  useEffect(
+    () => () => {
+      for (const ref of Object.values(chartRefs.current)) {
+        if (ref.current) ref.current.destroy();
+      }
+    },
+    []
+  );
+
+  const sorted = useMemo(() => {
+    if (!data) return [];
+    const { key, dir } = sort;
+    return [...data].sort((a, b) => {
+      const x = a[key];
+      const y = b[key];
+      const order =
+        typeof x === "string" ? x.localeCompare(y) : (x ?? 0) - (y ?? 0);
+      return dir * order || a.blockSize - b.blockSize;
+    });
+  }, [data, sort]);
+
+  if (!data || !data.length) return null;
+
+  const param = paramColumn(data);
+  const columns = [
+    { key: "blockSize", label: "B", format: (v) => v },
+    param,
+    { key: "transform", label: "Transform", format: (v) => v },
+    {
+      key: "keptFraction",
+      label: "Kept",
+      format: (v) => `${(v * 100).toFixed(1)}%`,
+    },
+    { key: "bpp", label: "bpp", format: (v) => v.toFixed(3) },
+    ...metricKeys.map((key) => ({
+      key,
+      label: METRIC_LABELS[key],
+      format: (v) => v.toFixed(key === "psnr" ? 2 : 4),
+    })),
+  ];
+  const transforms = [...new Set(data.map((r) => r.transform))];
+
+  const sortBy = (key) =>
+    setSort((prev) => ({
+      key,
+      dir: prev.key === key ? -prev.dir : 1,
+    }));
+
+  const exportCsv = () => {
+    const blob = new Blob([sweepCsvJS(data)], { type: "text/csv" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = "transform_sweep_results.csv";
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="sweep-results">
+      <div className="error-maps-header">
+        <h3 className="metrics-title">
+          Sweep: {data.length} points over {blockSizes.length} block size(s)
+        </h3>
+        <select
+          className="chart-select"
+          value={yKey}
+          onChange={(e) => setMetricKey(e.target.value)}
+        >
+          {metricKeys.map((key) => (
+            <option key={key} value={key}>
+              y-axis: {METRIC_LABELS[key]}
+            </option>
+          ))}
+        </select>
+        <button type="button" className="secondary" onClick={exportCsv}>
+          Export CSV
+        </button>
+      </div>
+      <div className="sweep-legend small-text">
+        {transforms.map((name) => (
+          <span key={name}>
+            <span
+              className="legend-swatch"
+              style={{ background: COLORS[name] || "#e5e7eb" }}
+            />
+            {name}
+          </span>
+        ))}
+      </div>
+      <div className="small-multiples">
+        {blockSizes.map((B) => (
+          <div key={B}>
+            <p className="small-text">B = {B}</p>
+            <canvas
+              ref={(el) => {
+                canvasRefs.current[B] = el;
+              }}
+              className="preview"
+            />
+          </div>
+        ))}
+      </div>
+      <BjontegaardTable results={data} />
+      <div className="sweep-table-wrapper">
+        <table className="metrics-table sortable">
+          <thead>
+            <tr>
+              {columns.map((c) => (
+                <th key={c.key} onClick={() => sortBy(c.key)}>
+                  {c.label}
+                  {sort.key === c.key && (sort.dir > 0 ? " ▲" : " ▼")}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {sorted.map((r) => (
+              <tr key={`${r.blockSize}|${r.transform}|${r[param.key]}`}>
+                {columns.map((c) => (
+                  <td key={c.key}>{c.format(r[c.key])}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <span className="small-text">
+        Click a column header to sort; click it again to reverse.
+      </span>
+    </div>
+  );
+}
@@ -0,0 +1,852 @@
+// src/lib/analysis.js
+// The numeric side of "Run Transforms & Analysis" and the sweep, free of any
+// DOM access so it can run inside the analysis worker.
+import { extractBlocksJS, reconstructFromBlocksJS } from "./imageUtils";
+
+import {
+  psnrJS,
+  pcaTransformJS,
+  transformBlocksJS,
+  inverseTransformBlocksJS,
+  energyCompactionCurveJS,
+  rateDistortionJS,
+  quantizeOperatingPointJS,
+  pcaSideInfoBitsJS,
+  quantizePcaBasisJS,
+  zonalScanJS,
+  coefficientCountJS,
+} from "./transforms";
+
+import {
+  pcaQuantTableJS,
+  JPEG_LUMA_TABLE,
+  JPEG_CHROMA_TABLE,
+  dequantizeCoeffsJS,
+  nonzeroFractionJS,
+  qualityScaledTableJS,
+  nonzeroCountsPerBlockJS,
+} from "./quantization";
+
+import { kroneckerDeviationJS } from "./fastTransforms";
+
+import {
+  FIXED_TRANSFORMS,
+  PCA_TRANSFORM,
+  CORPUS_PCA_TRANSFORM,
+  isTransformAvailableJS,
+  fixedTransformMatrixJS,
+  fixedTransformOperatorJS,
+  fixedQuantTableJS,
+  fixedScanOrderJS,
+} from "./transformCatalog";
+
+import { METRIC_KEYS, evaluateMetricsJS } from "./metrics";
+
+import {
+  rgbToYCbCrJS,
+  splitColorPlanesJS,
+  prepareColorPlanesJS,
+  colorOperatingPointJS,
+  colorRateDistortionJS,
+  colorPsnrJS,
+} from "./color";
+
+import { TRANSFORM_IDS } from "./codec";
+
+import { identityScanJS, bitsPerPixelJS } from "./entropy";
+
+import {
+  HYBRID_CANDIDATE_IDS,
+  HYBRID_TRANSFORM,
+  hybridOperatingPointJS,
+  hybridRateDistortionJS,
+  reconstructHybridJS,
+} from "./modeDecision";
+
+import {
+  WAVELETS,
+  maxWaveletLevelsJS,
+  dwt2DJS,
+  waveletOperatingPointJS,
+  waveletRateDistortionJS,
+  waveletMosaicJS,
+} from "./wavelet";
+
+import { isZonalAllocationJS, zonalOrderJS, zonalMaskBitsJS } from "./zonal";
+
+import { coefficientStatsJS, totalVarianceJS } from "./coefficientStats";
+
+// Quality factors swept by the RD chart and the sweep in quantizer mode
+export const RD_QUALITY_VALUES = [5, 10, 20, 30, 50, 70, 85, 95, 100];
+
+// Per-block energy fractions swept in the energy-threshold allocation
+export const ENERGY_TARGETS = [0.5, 0.7, 0.8, 0.9, 0.95, 0.98, 0.99, 0.999];
+
+// Largest block size for which the B²×B² Kronecker reference is still built
+// to cross-check the fast transforms
+const KRONECKER_CHECK_MAX_B = 16;
+
+// Largest block size for which every basis image is sent to the gallery
+// (B² images of B² samples per transform)
+const BASIS_GALLERY_MAX_B = 16;
+
+// Metrics evaluated on top of PSNR for RD curves and sweeps
+export const EXTRA_METRIC_KEYS = METRIC_KEYS.filter((key) => key !== "psnr");
+
+const WAVELET_COLOR = "#f472b6";
+
+// Full-image DWT point matching a block-transform setting: top-k keeps the
+// same fraction k / d of all coefficients, an energy target the same share
+// of the image energy; quality q uses the JPEG DC step at that quality for
+// every subband.
+function waveletPoint(kk, d, useQuant, quantizer, allocation) {
+  if (useQuant) {
+    return {
+      step: qualityScaledTableJS([JPEG_LUMA_TABLE[0]], kk)[0],
+      quantizer,
+    };
+  }
+  return allocation === "energy"
+    ? { energyFraction: kk }
+    : { keepFraction: kk / d };
+}
+
+// The 2D basis images of a method (one row of B² samples per coefficient
+// position), flattened: outer products of the 1D rows for separable
+// transforms, the learned rows themselves for PCA.
+function basisImages(m, B) {
+  const d = B * B;
+  if (!m.T1d) return Float32Array.from(m.T.flat());
+  const out = new Float32Array(d * d);
+  for (let u = 0; u < B; u++) {
+    for (let v = 0; v < B; v++) {
+      const off = (u * B + v) * d;
+      for (let r = 0; r < B; r++) {
+        for (let c = 0; c < B; c++) {
+          out[off + r * B + c] = m.T1d[u][r] * m.T1d[v][c];
+        }
+      }
+    }
+  }
+  return out;
+}
+
+// Number of blocks by count of nonzero levels (0..m)
+function keptHistogram(levels) {
+  const hist = new Array(levels.cols + 1).fill(0);
+  for (const c of nonzeroCountsPerBlockJS(levels)) hist[c]++;
+  return hist;
+}
+
+// First `components` rows of a learned basis, rounded to what a decoder
+// receives at the `sideInfo` precision (null keeps it exact).
+function learnedBasis(T, mean, { components = null, sideInfo = null } = {}) {
+  const Tm = components ? T.slice(0, components) : T;
+  return sideInfo ? quantizePcaBasisJS(Tm, mean, sideInfo) : { T: Tm, mean };
+}
+
+// Grayscale operating point of a method with `coeffs` and `allocation` set
+// (as in runAnalysisJS) at `param`: k, a quality factor when ctx.quant =
+// { quantizer } is given, or an energy target. Split from the coding below
+// so the live k slider can redraw without entropy coding every frame.
+// ctx: { width, height, B, shape, quant }
+export function grayReconstructionJS(imgGray, m, param, ctx) {
+  const { width, height, shape, quant } = ctx;
+  const { levels, steps } = quantizeOperatingPointJS(
+    m.coeffs,
+    param,
+    quant ? { table: m.table, quantizer: quant.quantizer } : null,
+    m.allocation
+  );
+  const Y = dequantizeCoeffsJS(levels, steps);
+  const gray = reconstructGray(Y, m.T, m.mean, shape, width, height);
+  return { param, levels, steps, gray, psnr: psnrJS(imgGray, gray) };
+}
+
+// Coded size of a grayReconstructionJS result and the codec entry that
+// saves it (codecParam: the k, quality or per-mille energy target recorded
+// in the file). ctx.allocation names the selection mode for the file.
+export function grayCodingJS(m, rec, codecParam, ctx) {
+  const { width, height, B, quant, allocation = "block" } = ctx;
+  const { levels, steps, param } = rec;
+  const scan = quant ? m.scan : zonalScanJS(m.scan, param, m.allocation);
+  const bpp = bitsPerPixelJS(levels, scan, width * height);
+  return {
+    bpp,
+    fraction: nonzeroFractionJS(levels),
+    keptHistogram: keptHistogram(levels),
+    encodable: {
+      width,
+      height,
+      B,
+      transformId: TRANSFORM_IDS[m.codecId || m.id],
+      levels,
+      steps,
+      T: m.mean ? m.T : null,
+      mean: m.mean,
+      mode: quant ? "quant" : allocation === "block" ? "topk" : allocation,
+      zonalOrder: !quant && Array.isArray(m.allocation) ? m.allocation : null,
+      quantizer: quant ? quant.quantizer : null,
+      param: codecParam,
+      bpp,
+    },
+  };
+}
+
+// analysis.live with its separable operators rebuilt, which do not survive
+// the trip from the worker.
+export function prepareLiveSessionJS(live) {
+  return {
+    ...live,
+    methods: live.methods.map((m) => ({
+      ...m,
+      T: m.T1d ? fixedTransformOperatorJS(m.id, live.B, m.T1d) : m.T,
+    })),
+  };
+}
+
+// Every method's reconstruction at k from a prepared live session (which
+// also carries imgGray): { k, recs: { [id]: grayReconstructionJS result } }
+export function liveFrameJS(session, k) {
+  const recs = Object.fromEntries(
+    session.methods.map((m) => [
+      m.id,
+      grayReconstructionJS(session.imgGray, m, k, session),
+    ])
+  );
+  return { k, recs };
+}
+
+// Coded size, codec entry and extra metrics of every method in a
+// liveFrameJS result: { k, coded: { [id]: grayCodingJS result + values } }
+export function liveCodingJS(session, { k, recs }) {
+  const { imgGray, width, height, B } = session;
+  const coded = Object.fromEntries(
+    session.methods.map((m) => [
+      m.id,
+      {
+        ...grayCodingJS(m, recs[m.id], k, session),
+        values: evaluateMetricsJS(
+          imgGray,
+          recs[m.id].gray,
+          width,
+          height,
+          B,
+          EXTRA_METRIC_KEYS
+        ),
+      },
+    ])
+  );
+  return { k, coded };
+}
+
+export function reconstructGray(coeffs, T, meanVec, shape, width, height) {
+  const blocksRec = inverseTransformBlocksJS(coeffs, T, meanVec);
+  const gray = reconstructFromBlocksJS(blocksRec, shape, width, height);
+  for (let i = 0; i < gray.length; i++) {
+    if (gray[i] < 0) gray[i] = 0;
+    if (gray[i] > 1) gray[i] = 1;
+  }
+  return gray;
+}
+
+// Every fixed transform available at this B, then PCA fitted on `blocks`,
+// then (if given and trained for this B) the corpus PCA basis, each with its
+// quantization tables and scan order. pcaOptions: { components, sideInfo }
+// (see learnedBasis); only the per-image basis is charged side information,
+// the corpus one is assumed to be known to the decoder.
+export function buildMethodsJS(B, blocks, corpusPca = null, pcaOptions = {}) {
+  const fixed = FIXED_TRANSFORMS.filter((t) =>
+    isTransformAvailableJS(t.id, B)
+  ).map((t) => {
+    const T1d = fixedTransformMatrixJS(t.id, B);
+    return {
+      ...t,
+      T1d,
+      T: fixedTransformOperatorJS(t.id, B, T1d),
+      mean: null,
+      table: fixedQuantTableJS(t.id, B, JPEG_LUMA_TABLE, T1d),
+      chromaTable: fixedQuantTableJS(t.id, B, JPEG_CHROMA_TABLE, T1d),
+      scan: fixedScanOrderJS(t.id, B, T1d),
+    };
+  });
+  const learned = (info, T, mean, sideInfo) => {
+    const basis = learnedBasis(T, mean, { ...pcaOptions, sideInfo });
+    const m = basis.T.length;
+    return {
+      ...info,
+      T1d: null,
+      T: basis.T,
+      mean: basis.mean,
+      sideInfo,
+      table: pcaQuantTableJS(B).slice(0, m),
+      chromaTable: pcaQuantTableJS(B, JPEG_CHROMA_TABLE).slice(0, m),
+      scan: identityScanJS(m),
+    };
+  };
+  const { T: T_pca, mean: pcaMean } = pcaTransformJS(blocks);
+  const methods = [
+    ...fixed,
+    learned(PCA_TRANSFORM, T_pca, pcaMean, pcaOptions.sideInfo || null),
+  ];
+  if (corpusPca && corpusPca.B === B) {
+    methods.push(
+      learned(CORPUS_PCA_TRANSFORM, corpusPca.T, corpusPca.mean, null)
+    );
+  }
+  return methods;
+}
+
+// image: { width, height, gray, rgb?, subsampling? }
+// settings: { B, k, quality, useQuant, quantizer, padMode, allocation?,
+//   energyTarget?, rdMetrics?, wavelet?, corpusPca?, pca?, hybrid? }
+//   allocation: "block" | "global" | "energy" (see selectCoefficientsJS) or
+//     a ZONAL_MASKS key; "energy" sweeps ENERGY_TARGETS and shows
+//     energyTarget
+//   rdMetrics: extra metric keys measured at every RD point besides PSNR
+//     (none by default; the operating point always gets all of them)
+//   wavelet: { filter, levels } adds the full-image DWT (grayscale only)
+//   corpusPca: a basis from trainCorpusPcaJS, applied without refitting
+//   pca: { components, sideInfo } keeps the first m PCA vectors and charges
+//     the basis at a PCA_SIDE_INFO_BITS precision
+//   hybrid: { lambda } adds per-block mode decision among DCT, Hadamard and
+//     PCA (grayscale only)
+// onProgress({ message, fraction }) is called between every unit of work.
+export function runAnalysisJS(image, settings, onProgress = () => {}) {
+  const { width, height, gray: imgGray, subsampling = null } = image;
+  const { B, k, quality: q, useQuant, quantizer, padMode } = settings;
+  const { allocation = "block", energyTarget = 0.95 } = settings;
+  const { rdMetrics = [] } = settings;
+  const d = B * B;
+  const wavelet = subsampling ? null : settings.wavelet || null;
+  const hybrid = subsampling ? null : settings.hybrid || null;
+
+  const kValues = useQuant
+    ? RD_QUALITY_VALUES
+    : allocation === "energy"
+      ? ENERGY_TARGETS
+      : [2, 4, 8, 16, 24, 32, 40, 48, d].filter((kk) => kk <= d);
+  // The operating point shown in the reconstructions
+  const param = useQuant ? q : allocation === "energy" ? energyTarget : k;
+  const quant = useQuant ? { quantizer } : null;
+
+  const { blocks, shape } = extractBlocksJS(imgGray, width, height, B, padMode);
+  const pcaOptions = settings.pca || {};
+  const methods = buildMethodsJS(B, blocks, settings.corpusPca, pcaOptions);
+
+  const totalSteps =
+    3 +
+    methods.length * (1 + kValues.length + 1) +
+    (wavelet ? kValues.length + 1 : 0) +
+    (hybrid ? kValues.length + 1 : 0);
+  let done = 0;
+  const step = (message) => {
+    done++;
+    onProgress({ message, fraction: done / totalSteps });
+  };
+  step(`Built ${methods.length} transforms`);
+
+  // PCA first basis vector visualized as N×N
+  const firstBasis = methods.find((m) => m.id === PCA_TRANSFORM.id).T[0];
+  const pcaFirstBasis = new Float32Array(d);
+  let minVal = Infinity,
+    maxVal = -Infinity;
+  for (let i = 0; i < d; i++) {
+    minVal = Math.min(minVal, firstBasis[i]);
+    maxVal = Math.max(maxVal, firstBasis[i]);
+  }
+  const range = maxVal - minVal || 1;
+  for (let i = 0; i < d; i++) {
+    pcaFirstBasis[i] = (firstBasis[i] - minVal) / range;
+  }
+
+  // Every basis image, for the gallery
+  const basisGallery =
+    B <= BASIS_GALLERY_MAX_B
+      ? {
+          totalVariance: totalVarianceJS(blocks),
+          methods: methods.map((m) => ({
+            id: m.id,
+            label: m.label,
+            count: coefficientCountJS(m.T),
+            basis: basisImages(m, B),
+          })),
+        }
+      : null;
+
+  // Fast separable transforms against the Kronecker reference
+  const kroneckerCheck =
+    B <= KRONECKER_CHECK_MAX_B
+      ? methods
+          .filter((m) => m.T1d)
+          .map((m) => ({
+            label: m.label,
+            maxDiff: kroneckerDeviationJS(m.T, m.T1d, blocks),
+          }))
+      : null;
+
+  // Coefficients, and each method's own mask when the selection is zonal
+  for (const m of methods) {
+    m.coeffs = transformBlocksJS(blocks, m.T, m.mean);
+    m.allocation = isZonalAllocationJS(allocation)
+      ? zonalOrderJS(m, allocation)
+      : allocation;
+    m.maskBits = useQuant
+      ? 0
+      : zonalMaskBitsJS(allocation, coefficientCountJS(m.T));
+    step(`${m.label}: forward transform`);
+  }
+
+  // Color: Y, Cb, Cr go through the same transforms (PCA fits a basis per
+  // plane; the luma one is the basis fitted above).
+  if (subsampling) {
+    const planes = splitColorPlanesJS(image.rgb, width, height, subsampling);
+    for (const m of methods) {
+      m.planes = prepareColorPlanesJS(
+        planes,
+        B,
+        (plane, planeBlocks) => {
+          let T = m.T;
+          let mean = m.mean;
+          if (m.id === "pca" && plane.chroma) {
+            const fit = pcaTransformJS(planeBlocks);
+            ({ T, mean } = learnedBasis(fit.T, fit.mean, pcaOptions));
+          }
+          return {
+            T,
+            mean,
+            table: plane.chroma ? m.chromaTable : m.table,
+            scan: m.scan,
+          };
+        },
+        padMode
+      );
+    }
+  }
+
+  // Energy compaction
+  const curves = methods.map((m) => energyCompactionCurveJS(m.coeffs, d));
+  const energy = {
+    fracK: curves[0].ks.map((kk) => kk / d),
+    series: methods.map((m, i) => ({
+      label: m.label,
+      color: m.color,
+      avgFrac: curves[i].avgFrac,
+    })),
+  };
+  step("Energy compaction curves");
+
+  // Per-position variance, histogram and distribution fits (luma in color)
+  const coefficientStats = methods.map((m) => ({
+    id: m.id,
+    label: m.label,
+    color: m.color,
+    ...coefficientStatsJS(m.coeffs),
+  }));
+  step("Coefficient statistics");
+
+  // Rate–distortion: sweep k, or the quality factor of the quantizer
+  const rdSeries = methods.flatMap((m) => {
+    const progress = (i) =>
+      step(`${m.label}: RD point ${i + 1}/${kValues.length}`);
+    const rd = subsampling
+      ? colorRateDistortionJS(
+          image.rgb,
+          m.planes,
+          width,
+          height,
+          subsampling,
+          kValues,
+          quant,
+          rdMetrics,
+          progress,
+          m.allocation
+        )
+      : rateDistortionJS(
+          imgGray,
+          width,
+          height,
+          blocks,
+          shape,
+          m.T,
+          m.mean,
+          kValues,
+          {
+            quant: useQuant ? { table: m.table, quantizer } : null,
+            scan: m.scan,
+            metrics: rdMetrics,
+            onProgress: progress,
+            sideInfoPrecision: m.sideInfo,
+            allocation: m.allocation,
+            sideBits: m.maskBits,
+          }
+        );
+    const values = { psnr: rd.psnrs, ...rd.metrics };
+    // A zonal-variance mask is sent once, shared by the color planes
+    const maskBpp = m.maskBits / (width * height);
+    if (!m.sideInfo) {
+      m.sideInfoBpp = maskBpp;
+      const rates = subsampling ? rd.rates.map((r) => r + maskBpp) : rd.rates;
+      return [{ label: m.label, color: m.color, rates, values }];
+    }
+    // Color sends one basis per plane (chroma PCA is refitted)
+    m.sideInfoBpp = subsampling
+      ? m.planes.reduce(
+          (acc, p) => acc + pcaSideInfoBitsJS(p.T, m.sideInfo),
+          m.maskBits
+        ) /
+        (width * height)
+      : rd.sideInfoBpp;
+    const payloadRates = subsampling ? rd.rates : rd.payloadRates;
+    return [
+      {
+        label: `${m.label} + basis (${m.sideInfo})`,
+        color: m.color,
+        rates: payloadRates.map((r) => r + m.sideInfoBpp),
+        values,
+      },
+      {
+        label: `${m.label}, payload only`,
+        color: m.color,
+        dashed: true,
+        rates: payloadRates,
+        values,
+      },
+    ];
+  });
+
+  // Per-block choice among the candidate transforms at a fixed λ
+  const candidates = hybrid
+    ? methods.filter((m) => HYBRID_CANDIDATE_IDS.includes(m.id))
+    : [];
+  if (hybrid) {
+    const rd = hybridRateDistortionJS(
+      imgGray,
+      width,
+      height,
+      blocks,
+      shape,
+      candidates,
+      kValues,
+      {
+        quant,
+        lambda: hybrid.lambda,
+        allocation,
+        metrics: rdMetrics,
+        onProgress: (i) => step(`Hybrid: RD point ${i + 1}/${kValues.length}`),
+      }
+    );
+    rdSeries.push({
+      label: `${HYBRID_TRANSFORM.label}, λ = ${hybrid.lambda}`,
+      color: HYBRID_TRANSFORM.color,
+      rates: rd.rates,
+      values: { psnr: rd.psnrs, ...rd.metrics },
+    });
+  }
+
+  // Full-image DWT for comparison, overlaid on the same RD chart
+  let waveletResult = null;
+  if (wavelet) {
+    const { label } = WAVELETS[wavelet.filter];
+    const levels = Math.max(
+      1,
+      Math.min(wavelet.levels, maxWaveletLevelsJS(width, height))
+    );
+    const dwt = dwt2DJS(imgGray, width, height, levels, wavelet.filter);
+    const rd = waveletRateDistortionJS(
+      imgGray,
+      dwt,
+      kValues.map((kk) => waveletPoint(kk, d, useQuant, quantizer, allocation)),
+      rdMetrics,
+      B,
+      (i) => step(`DWT ${label}: RD point ${i + 1}/${kValues.length}`)
+    );
+    rdSeries.push({
+      label: `DWT ${label} (full image)`,
+      color: WAVELET_COLOR,
+      dashed: true,
+      rates: rd.rates,
+      values: { psnr: rd.psnrs, ...rd.metrics },
+    });
+    const op = waveletOperatingPointJS(
+      dwt,
+      waveletPoint(param, d, useQuant, quantizer, allocation)
+    );
+    waveletResult = {
+      label,
+      levels,
+      gray: op.gray,
+      mosaic: waveletMosaicJS(dwt),
+      bpp: op.bpp,
+      keptFraction: op.keptFraction,
+      psnr: psnrJS(imgGray, op.gray),
+    };
+    step(`DWT ${label}: reconstruction`);
+  }
+
+  // Reconstructions at kShow (or at the chosen quality / energy target)
+  const grayContext = { width, height, B, shape, quant, allocation };
+  const codecParam = useQuant
+    ? q
+    : allocation === "energy"
+      ? Math.round(energyTarget * 1000)
+      : k;
+  const encodable = {};
+  const results = methods.map((m) => {
+    if (subsampling) {
+      const { rgb, bits, planeLevels } = colorOperatingPointJS(
+        m.planes,
+        width,
+        height,
+        subsampling,
+        param,
+        quant,
+        m.allocation
+      );
+      const channels = colorPsnrJS(image.rgb, rgb);
+      const luma = rgbToYCbCrJS(rgb).y;
+      step(`${m.label}: reconstruction`);
+      return {
+        id: m.id,
+        label: m.label,
+        gray: luma,
+        rgb,
+        bpp: bits / (width * height),
+        sideInfoBpp: m.sideInfoBpp || 0,
+        fraction: null,
+        keptHistogram: keptHistogram(planeLevels[0]),
+        psnr: channels.combined,
+        channels,
+        values: evaluateMetricsJS(
+          imgGray,
+          luma,
+          width,
+          height,
+          B,
+          EXTRA_METRIC_KEYS
+        ),
+      };
+    }
+    const rec = grayReconstructionJS(imgGray, m, param, grayContext);
+    const coded = grayCodingJS(m, rec, codecParam, grayContext);
+    encodable[m.id] = coded.encodable;
+    step(`${m.label}: reconstruction`);
+    return {
+      id: m.id,
+      label: m.label,
+      gray: rec.gray,
+      bpp: coded.bpp,
+      sideInfoBpp: m.sideInfoBpp || 0,
+      fraction: coded.fraction,
+      keptHistogram: coded.keptHistogram,
+      psnr: rec.psnr,
+      values: evaluateMetricsJS(
+        imgGray,
+        rec.gray,
+        width,
+        height,
+        B,
+        EXTRA_METRIC_KEYS
+      ),
+    };
+  });
+
+  let hybridModes = null;
+  if (hybrid) {
+    const op = hybridOperatingPointJS(blocks, candidates, param, {
+      quant,
+      lambda: hybrid.lambda,
+      allocation,
+    });
+    const grayRec = reconstructHybridJS(op, shape, width, height);
+    results.push({
+      id: HYBRID_TRANSFORM.id,
+      label: HYBRID_TRANSFORM.label,
+      gray: grayRec,
+      bpp: (op.bits - op.sideBits) / (width * height),
+      sideInfoBpp: op.sideBits / (width * height),
+      modeBpp: op.modeBits / (width * height),
+      fraction: op.fraction,
+      keptHistogram: keptHistogram(op.levels),
+      psnr: psnrJS(imgGray, grayRec),
+      values: evaluateMetricsJS(
+        imgGray,
+        grayRec,
+        width,
+        height,
+        B,
+        EXTRA_METRIC_KEYS
+      ),
+    });
+    hybridModes = {
+      modes: op.modes,
+      shape,
+      lambda: hybrid.lambda,
+      candidates: candidates.map((c, i) => ({
+        id: c.id,
+        label: c.label,
+        color: c.color,
+        count: op.counts[i],
+      })),
+    };
+    step("Hybrid: reconstruction");
+  }
+
+  return {
+    B,
+    d,
+    matrices: Object.fromEntries(
+      methods.filter((m) => m.T1d).map((m) => [m.id, m.T1d])
+    ),
+    pcaFirstBasis,
+    basisGallery,
+    // Cached coefficients for the live k slider (grayscale only); separable
+    // operators are rebuilt from T1d on the main thread
+    live: subsampling
+      ? null
+      : {
+          ...grayContext,
+          params: kValues,
+          methods: methods.map((m) => ({
+            id: m.id,
+            label: m.label,
+            codecId: m.codecId,
+            T1d: m.T1d,
+            T: m.T1d ? null : m.T,
+            mean: m.mean,
+            coeffs: m.coeffs,
+            table: m.table,
+            scan: m.scan,
+            allocation: m.allocation,
+          })),
+        },
+    // What the block inspector needs to redo any block on the main thread
+    inspector: {
+      B,
+      padMode,
+      methods: methods.map((m) => ({
+        id: m.id,
+        label: m.label,
+        T1d: m.T1d,
+        T: m.T1d ? null : m.T,
+        mean: m.mean,
+      })),
+    },
+    kroneckerCheck,
+    energy,
+    coefficientStats,
+    rdSeries,
+    results,
+    wavelet: waveletResult,
+    hybridModes,
+    encodable,
+  };
+}
+
+// Sweep over block sizes and k fractions or explicit k values (or quality
+// factors, or energy targets) on one grayscale image. Every block size is
+// measured against the same native-resolution pixels.
+export function runSweepJS(
+  image,
+  {
+    blockSizes = [4, 8, 16, 32],
+    kFractions = [0.05, 0.1, 0.2, 0.3, 0.5, 0.75, 1.0],
+    kValues: fixedK = null, // explicit k values instead of kFractions
+    quant = null, // { quantizer, qualities } sweeps the quantizer instead of k
+    allocation = "block", // top-k allocation or zonal mask, see runAnalysisJS
+    energyTargets = ENERGY_TARGETS, // swept instead of k for "energy"
+    padMode = "edge",
+    transforms = null, // transform ids to measure, null for all
+    metrics = [], // extra metric keys measured on top of PSNR
+  } = {},
+  onProgress = () => {}
+) {
+  const { width, height, gray } = image;
+  const results = [];
+  const energy = !quant && allocation === "energy";
+  const zonal = !quant && isZonalAllocationJS(allocation);
+  // The swept values at block size B: explicit k values above B² are
+  // dropped, fractions that round to the same k measured once
+  const sweptValues = (B) =>
+    quant
+      ? quant.qualities
+      : energy
+        ? energyTargets
+        : fixedK
+          ? fixedK.filter((kk) => kk <= B * B)
+          : [
+              ...new Set(
+                kFractions.map((f) => Math.max(1, Math.round(f * B * B)))
+              ),
+            ];
+  const included = (id) => !transforms || transforms.includes(id);
+  const methodsPerB = (B) =>
+    [...FIXED_TRANSFORMS, PCA_TRANSFORM].filter(
+      (t) => included(t.id) && isTransformAvailableJS(t.id, B)
+    ).length;
+  const totalPoints = blockSizes.reduce(
+    (acc, B) => acc + methodsPerB(B) * sweptValues(B).length,
+    0
+  );
+  let done = 0;
+
+  for (const B of blockSizes) {
+    const kValues = sweptValues(B);
+    if (!kValues.length) continue;
+    const { blocks, shape } = extractBlocksJS(gray, width, height, B, padMode);
+    const methods = buildMethodsJS(B, blocks).filter((m) => included(m.id));
+    const paramName = quant ? "quality" : energy ? "energy" : "k";
+
+    for (const m of methods) {
+      // The variance mask is measured on this image's coefficients
+      const coeffs =
+        zonal && allocation === "zonal-variance"
+          ? transformBlocksJS(blocks, m.T, m.mean)
+          : null;
+      const rd = rateDistortionJS(
+        gray,
+        width,
+        height,
+        blocks,
+        shape,
+        m.T,
+        m.mean,
+        kValues,
+        {
+          quant: quant ? { table: m.table, quantizer: quant.quantizer } : null,
+          scan: m.scan,
+          metrics,
+          allocation: zonal ? zonalOrderJS(m, allocation, coeffs) : allocation,
+          sideBits: zonal
+            ? zonalMaskBitsJS(allocation, coefficientCountJS(m.T))
+            : 0,
+          onProgress: (i) => {
+            done++;
+            onProgress({
+              message: `B=${B}, ${m.name}: ${paramName} = ${kValues[i]}`,
+              fraction: done / totalPoints,
+            });
+          },
+        }
+      );
+      for (let i = 0; i < kValues.length; i++) {
+        results.push({
+          blockSize: B,
+          k: quant || energy ? null : kValues[i],
+          quality: quant ? kValues[i] : null,
+          energyTarget: energy ? kValues[i] : null,
+          allocation: quant ? null : allocation,
+          keptFraction: rd.fractions[i],
+          bpp: rd.rates[i],
+          transform: m.name,
+          psnr: rd.psnrs[i],
+          ...Object.fromEntries(
+            metrics.map((key) => [key, rd.metrics[key][i]])
+          ),
+        });
+      }
+    }
+  }
+
+  return results;
+}
@@ -0,0 +1,260 @@
+// src/lib/bjontegaard.js
+// Bjøntegaard delta metrics between two RD curves: BD-PSNR is the mean PSNR
+// gap over the shared log-rate range, BD-rate the mean rate change (in %)
+// over the shared PSNR range. Curves are { rates, psnrs } as returned by
+// rateDistortionJS (rates in bpp); negative BD-rate / positive BD-PSNR mean
+// the test curve beats the anchor. Both fits need four points per curve;
+// shorter curves give no BD value (null).
+import { numeric } from "./transforms";
+
+export const BD_METHODS = {
+  pchip: { label: "Piecewise cubic (PCHIP)", minPoints: 4 },
+  polynomial: { label: "Cubic polynomial (VCEG-M33)", minPoints: 4 },
+};
+
+// psnrJS reports lossless points as 99 dB; they are not on the curve
+const PSNR_CAP = 99;
+
+// ======= Fits =======
+
+// Strictly increasing x with its y, from points sorted by x; repeated x
+// keep the first point.
+function sortedPoints(xs, ys) {
+  const order = xs.map((_, i) => i).sort((a, b) => xs[a] - xs[b]);
+  const x = [];
+  const y = [];
+  for (const i of order) {
+    if (x.length && xs[i] <= x[x.length - 1]) continue;
+    x.push(xs[i]);
+    y.push(ys[i]);
+  }
+  return { x, y };
+}
+
+// Monotone piecewise cubic Hermite slopes (Fritsch-Carlson)
+function pchipSlopes(x, y) {
+  const n = x.length;
+  const h = x.slice(1).map((v, i) => v - x[i]);
+  const delta = h.map((hi, i) => (y[i + 1] - y[i]) / hi);
+  if (n === 2) return [delta[0], delta[0]];
+  const d = new Array(n).fill(0);
+  for (let i = 1; i < n - 1; i++) {
+    if (delta[i - 1] * delta[i] > 0) {
+      const w1 = 2 * h[i] + h[i - 1];
+      const w2 = h[i] + 2 * h[i - 1];
+      d[i] = (w1 + w2) / (w1 / delta[i - 1] + w2 / delta[i]);
+    }
+  }
+  // One-sided three-point ends, kept shape-preserving
+  const end = (h0, h1, d0, d1) => {
+    const s = ((2 * h0 + h1) * d0 - h0 * d1) / (h0 + h1);
+    if (Math.sign(s) !== Math.sign(d0)) return 0;
+    if (Math.sign(d0) !== Math.sign(d1) && Math.abs(s) > 3 * Math.abs(d0)) {
+      return 3 * d0;
+    }
+    return s;
+  };
+  d[0] = end(h[0], h[1], delta[0], delta[1]);
+  d[n - 1] = end(h[n - 2], h[n - 3], delta[n - 2], delta[n - 3]);
+  return d;
+}
+
+// Integral from x[0] to any u in [x[0], x[n-1]] of the PCHIP interpolant
+function pchipIntegral(x, y) {
+  const d = pchipSlopes(x, y);
+  // ∫₀ᵗ of the Hermite basis, times the segment width
+  const segment = (i, t) => {
+    const h = x[i + 1] - x[i];
+    const t2 = t * t;
+    const t3 = t2 * t;
+    const t4 = t3 * t;
+    return (
+      h *
+      (y[i] * (t4 / 2 - t3 + t) +
+        h * d[i] * (t4 / 4 - (2 * t3) / 3 + t2 / 2) +
+        y[i + 1] * (-t4 / 2 + t3) +
+        h * d[i + 1] * (t4 / 4 - t3 / 3))
+    );
+  };
+  const cumulative = [0];
+  for (let i = 0; i < x.length - 1; i++) {
+    cumulative.push(cumulative[i] + segment(i, 1));
+  }
+  return (u) => {
+    let i = 0;
+    while (i < x.length - 2 && u > x[i + 1]) i++;
+    return cumulative[i] + segment(i, (u - x[i]) / (x[i + 1] - x[i]));
+  };
+}
+
+// The PCHIP interpolant at any u in [x[0], x[n-1]]
+function pchipValue(x, y) {
+  const d = pchipSlopes(x, y);
+  return (u) => {
+    let i = 0;
+    while (i < x.length - 2 && u > x[i + 1]) i++;
+    const h = x[i + 1] - x[i];
+    const t = (u - x[i]) / h;
+    const t2 = t * t;
+    const t3 = t2 * t;
+    return (
+      y[i] * (2 * t3 - 3 * t2 + 1) +
+      h * d[i] * (t3 - 2 * t2 + t) +
+      y[i + 1] * (-2 * t3 + 3 * t2) +
+      h * d[i + 1] * (t3 - t2)
+    );
+  };
+}
+
+// Least-squares cubic through the points, integrated from 0
+function polynomialIntegral(x, y) {
+  const A = x.map((v) => [1, v, v * v, v * v * v]);
+  const At = numeric.transpose(A);
+  const c = numeric.solve(numeric.dot(At, A), numeric.dot(At, y));
+  return (u) =>
+    c[0] * u + (c[1] * u ** 2) / 2 + (c[2] * u ** 3) / 3 + (c[3] * u ** 4) / 4;
+}
+
+// Mean of the test fit minus the anchor fit over the shared x range, or
+// null without enough points or overlap.
+function meanGap(anchor, test, method) {
+  const { minPoints } = BD_METHODS[method];
+  if (anchor.x.length < minPoints || test.x.length < minPoints) return null;
+  const lo = Math.max(anchor.x[0], test.x[0]);
+  const hi = Math.min(anchor.x.at(-1), test.x.at(-1));
+  if (!(hi > lo)) return null;
+  const integral = method === "polynomial" ? polynomialIntegral : pchipIntegral;
+  const fa = integral(anchor.x, anchor.y);
+  const ft = integral(test.x, test.y);
+  return (ft(hi) - ft(lo) - (fa(hi) - fa(lo))) / (hi - lo);
+}
+
+// Points of a curve that have a finite log rate and are not lossless
+function curvePoints({ rates, psnrs }) {
+  const keep = rates
+    .map((_, i) => i)
+    .filter((i) => rates[i] > 0 && psnrs[i] < PSNR_CAP);
+  return {
+    logRates: keep.map((i) => Math.log(rates[i])),
+    psnrs: keep.map((i) => psnrs[i]),
+  };
+}
+
+// ======= BD metrics =======
+
+// Mean PSNR difference (dB) of test over anchor
+export function bdPsnrJS(anchor, test, method = "pchip") {
+  const a = curvePoints(anchor);
+  const t = curvePoints(test);
+  return meanGap(
+    sortedPoints(a.logRates, a.psnrs),
+    sortedPoints(t.logRates, t.psnrs),
+    method
+  );
+}
+
+// Mean rate change (%) of test against anchor at equal PSNR
+export function bdRateJS(anchor, test, method = "pchip") {
+  const a = curvePoints(anchor);
+  const t = curvePoints(test);
+  const gap = meanGap(
+    sortedPoints(a.psnrs, a.logRates),
+    sortedPoints(t.psnrs, t.logRates),
+    method
+  );
+  return gap === null ? null : (Math.exp(gap) - 1) * 100;
+}
+
+// ======= Matched rates =======
+
+// PSNR of every curve at `count` rates log-spaced over the range all of them
+// cover (PCHIP in log-rate), for comparing transforms at equal bpp. Curves
+// with fewer than two points are left out (null). Returns { rates, psnrs }
+// with psnrs[i] the values of curves[i], or null without a shared range.
+export function matchedRatePsnrsJS(curves, count) {
+  const fits = curves.map((c) => {
+    const p = curvePoints(c);
+    const { x, y } = sortedPoints(p.logRates, p.psnrs);
+    return x.length >= 2 ? { x, y } : null;
+  });
+  const used = fits.filter(Boolean);
+  if (!used.length) return null;
+  const lo = Math.max(...used.map((f) => f.x[0]));
+  const hi = Math.min(...used.map((f) => f.x.at(-1)));
+  if (!(hi > lo)) return null;
+  const logRates = Array.from(
+    { length: count },
+    (_, j) => lo + ((hi - lo) * j) / (count - 1)
+  );
+  return {
+    rates: logRates.map(Math.exp),
+    psnrs: fits.map((f) => f && logRates.map(pchipValue(f.x, f.y))),
+  };
+}
+
+// ======= Pairwise tables =======
+
+// curves: [{ blockSize, name, rates, psnrs }]. Every ordered pair of curves
+// with the same block size: [{ blockSize, test, anchor, bdRate, bdPsnr }].
+export function bjontegaardRowsJS(curves, method = "pchip") {
+  const rows = [];
+  for (const anchor of curves) {
+    for (const test of curves) {
+      if (test === anchor || test.blockSize !== anchor.blockSize) continue;
+      rows.push({
+        blockSize: anchor.blockSize,
+        test: test.name,
+        anchor: anchor.name,
+        bdRate: bdRateJS(anchor, test, method),
+        bdPsnr: bdPsnrJS(anchor, test, method),
+      });
+    }
+  }
+  return rows;
+}
+
+// Pairwise BD metrics of sweep rows (runSweepJS, or runCorpusSweepJS with an
+// `image` per row): computed per image, then averaged over the images where
+// both curves overlap (n of them).
+export function sweepBjontegaardJS(results, method = "pchip") {
+  const curves = new Map();
+  for (const r of results) {
+    const key = `${r.image ?? ""}|${r.blockSize}|${r.transform}`;
+    if (!curves.has(key)) {
+      curves.set(key, {
+        image: r.image ?? "",
+        blockSize: r.blockSize,
+        name: r.transform,
+        rates: [],
+        psnrs: [],
+      });
+    }
+    curves.get(key).rates.push(r.bpp);
+    curves.get(key).psnrs.push(r.psnr);
+  }
+  const byImage = new Map();
+  for (const c of curves.values()) {
+    if (!byImage.has(c.image)) byImage.set(c.image, []);
+    byImage.get(c.image).push(c);
+  }
+  const pairs = new Map();
+  for (const imageCurves of byImage.values()) {
+    for (const row of bjontegaardRowsJS(imageCurves, method)) {
+      const key = `${row.blockSize}|${row.test}|${row.anchor}`;
+      if (!pairs.has(key)) {
+        pairs.set(key, { ...row, bdRate: [], bdPsnr: [] });
+      }
+      const pair = pairs.get(key);
+      if (row.bdRate !== null) pair.bdRate.push(row.bdRate);
+      if (row.bdPsnr !== null) pair.bdPsnr.push(row.bdPsnr);
+    }
+  }
+  const mean = (v) =>
+    v.length ? v.reduce((a, b) => a + b, 0) / v.length : null;
+  return [...pairs.values()].map((p) => ({
+    ...p,
+    bdRate: mean(p.bdRate),
+    bdPsnr: mean(p.bdPsnr),
+    n: Math.max(p.bdRate.length, p.bdPsnr.length),
+  }));
+}
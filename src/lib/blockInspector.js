@@ -0,0 +1,53 @@
+// src/lib/blockInspector.js
+// One block through every transform: its coefficients, which of them
+// keepTopK keeps and the reconstruction. Cheap enough to run on the main
+// thread on every click; the learned bases come from the last analysis.
+import {
+  psnrJS,
+  transformBlocksJS,
+  inverseTransformBlocksJS,
+  keepTopK,
+} from "./transforms";
+import { fixedTransformOperatorJS } from "./transformCatalog";
+import { padIndexJS } from "./imageUtils";
+import { createBlockMatrixJS } from "./blocks";
+
+// Samples of block (bx, by), padded past the borders like extractBlocksJS
+// (zero padding gives 0).
+export function blockPixelsJS(gray, width, height, B, bx, by, padMode) {
+  const pixels = new Float64Array(B * B);
+  for (let r = 0; r < B; r++) {
+    const y = padIndexJS(by * B + r, height, padMode);
+    for (let c = 0; c < B; c++) {
+      const x = padIndexJS(bx * B + c, width, padMode);
+      pixels[r * B + c] = x < 0 || y < 0 ? 0 : gray[y * width + x];
+    }
+  }
+  return pixels;
+}
+
+// methods: [{ id, label, T1d, T, mean }], T1d for separable transforms and
+// the basis rows T (with mean) for learned ones, as in analysis.inspector.
+// `kept` flags the coefficients keepTopK left nonzero; PSNR is measured on
+// the block itself, reconstruction clipped to [0, 1].
+export function inspectBlockJS(pixels, methods, B, k) {
+  const d = B * B;
+  const block = createBlockMatrixJS(1, d);
+  block.data.set(pixels);
+  return methods.map((m) => {
+    const T = m.T1d ? fixedTransformOperatorJS(m.id, B, m.T1d) : m.T;
+    const coeffs = transformBlocksJS(block, T, m.mean);
+    const kept = keepTopK(coeffs, k);
+    const rec = inverseTransformBlocksJS(kept, T, m.mean).data.map((v) =>
+      Math.max(0, Math.min(1, v))
+    );
+    return {
+      id: m.id,
+      label: m.label,
+      coeffs: coeffs.data,
+      kept: kept.data.map((v) => (v !== 0 ? 1 : 0)),
+      rec,
+      psnr: psnrJS(pixels, rec),
+    };
+  });
+}
@@ -0,0 +1,57 @@
+// src/lib/blocks.js
+// Contiguous block storage used across the pipeline. A block matrix holds
+// `rows` vectors of length `cols` (blocks × pixels, blocks × coefficients or
+// blocks × levels) in one typed array; row i starts at data[i * stride].
+//
+//   { data: Float32Array | Float64Array | Int32Array, rows, cols, stride }
+
+export function createBlockMatrixJS(rows, cols, ArrayType = Float64Array) {
+  return { data: new ArrayType(rows * cols), rows, cols, stride: cols };
+}
+
+export function isBlockMatrixJS(x) {
+  return Boolean(x) && ArrayBuffer.isView(x.data) && x.stride !== undefined;
+}
+
+// View of row i (no copy)
+export function blockRowJS(M, i) {
+  const off = i * M.stride;
+  return M.data.subarray(off, off + M.cols);
+}
+
+// Rows [start, end) as a view sharing M's buffer
+export function sliceBlockRowsJS(M, start, end = M.rows) {
+  const s = Math.max(0, Math.min(start, M.rows));
+  const e = Math.max(s, Math.min(end, M.rows));
+  const endOffset = e > s ? (e - 1) * M.stride + M.cols : s * M.stride;
+  return {
+    data: M.data.subarray(s * M.stride, endOffset),
+    rows: e - s,
+    cols: M.cols,
+    stride: M.stride,
+  };
+}
+
+// Same shape and element type, zero-filled
+export function emptyLikeJS(M, cols = M.cols) {
+  return createBlockMatrixJS(M.rows, cols, M.data.constructor);
+}
+
+// ======= Adapters for array-of-arrays call sites =======
+
+// Accepts a block matrix (returned as is) or an array of equal-length rows.
+export function toBlockMatrixJS(x, ArrayType = Float64Array) {
+  if (isBlockMatrixJS(x)) return x;
+  const rows = x.length;
+  const cols = rows ? x[0].length : 0;
+  const M = createBlockMatrixJS(rows, cols, ArrayType);
+  for (let i = 0; i < rows; i++) M.data.set(x[i], i * cols);
+  return M;
+}
+
+// Plain nested arrays, e.g. for numeric.js or JSON
+export function toRowArraysJS(M) {
+  const out = new Array(M.rows);
+  for (let i = 0; i < M.rows; i++) out[i] = Array.from(blockRowJS(M, i));
+  return out;
+}
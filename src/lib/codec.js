@@ -0,0 +1,270 @@
+// src/lib/codec.js
+//
+// Compressed image container (".tvc"), all fields little-endian:
+//
+//   offset  size     field
+//   0       4        magic "TVC1"
+//   4       1        format version (1)
+//   5       1        transform ID (see TRANSFORM_IDS)
+//   6       2        block size B (uint16)
+//   8       4        image width (uint32)
+//   12      4        image height (uint32)
+//   16      1        selection mode, index into SELECTION_MODES: 0 = top-k
+//                    per block, 1 = quantization table, 2 = global top-K,
+//                    3 = energy target, 4-6 = zonal masks
+//   17      1        quantizer: 0 = uniform, 1 = deadzone (informational)
+//   18      2        k, quality factor or energy target in per-mille
+//                    (uint16, informational)
+//   20      2        m = coefficients per block (uint16, m ≤ B²)
+//   22      4·m      quantizer step per coefficient position (float32)
+//   ..      ⌈m/8⌉    zonal-variance only: the kept positions, bit j & 7 of
+//                    byte j >> 3 set for position j
+//   ..      4·m·B²   PCA only: basis T, m rows of B² (float32)
+//   ..      4·B²     PCA only: mean vector (float32)
+//   ..      4        payload length in bytes (uint32)
+//   ..      n        payload: arithmetic-coded levels (entropy.js), blocks
+//                    in raster order, positions in the transform's scan order
+//
+// The decoder rebuilds the fixed transforms (transformCatalog.js) from B, so
+// only PCA carries its basis. Zonal modes code only the k mask positions of
+// every block; the zigzag and triangle masks are rebuilt from the transform
+// and k, the variance mask is stored. Blocks cover ceil(height / B) × ceil(width / B); the padding is
+// cropped away on decode.
+import { inverseTransformBlocksJS } from "./transforms";
+import {
+  fixedTransformMatrixJS,
+  fixedTransformOperatorJS,
+  fixedScanOrderJS,
+} from "./transformCatalog";
+import { zonalScanJS } from "./transforms";
+import { triangularOrderJS } from "./zonal";
+import { reconstructFromBlocksJS } from "./imageUtils";
+import { dequantizeCoeffsJS } from "./quantization";
+import {
+  identityScanJS,
+  entropyEncodeLevelsJS,
+  entropyDecodeLevelsJS,
+  createArithmeticDecoder,
+} from "./entropy";
+
+export const CODEC_MAGIC = "TVC1";
+export const CODEC_VERSION = 1;
+export const TRANSFORM_IDS = {
+  dct: 0,
+  hadamard: 1,
+  pca: 2,
+  walsh: 3,
+  haar: 4,
+  slant: 5,
+  dst1: 6,
+  dst2: 7,
+  dst7: 8,
+};
+
+// Coefficient selection recorded at offset 16; append only
+export const SELECTION_MODES = [
+  "topk",
+  "quant",
+  "global",
+  "energy",
+  "zonal-zigzag",
+  "zonal-triangle",
+  "zonal-variance",
+];
+
+function transformKey(transformId) {
+  const key = Object.keys(TRANSFORM_IDS).find(
+    (id) => TRANSFORM_IDS[id] === transformId
+  );
+  if (key === undefined) throw new Error("Unknown transform ID " + transformId);
+  return key;
+}
+const HEADER_BYTES = 22;
+
+export function scanOrderForTransformJS(transformId, B, m = B * B) {
+  if (transformId === TRANSFORM_IDS.pca) return identityScanJS(m);
+  return fixedScanOrderJS(transformKey(transformId), B);
+}
+
+// Bytes of the stored zonal-variance mask over m positions
+const maskBytes = (m) => Math.ceil(m / 8);
+
+// The scan the payload is coded along: the full transform scan, or only the
+// positions of the zonal mask (zonalOrder: the mask's priority order, k its
+// length).
+function payloadScanJS(transformId, B, m, mode, k, zonalOrder) {
+  const scan = scanOrderForTransformJS(transformId, B, m);
+  if (mode === "zonal-zigzag") return zonalScanJS(scan, k, scan);
+  if (mode === "zonal-triangle") {
+    const order =
+      transformId === TRANSFORM_IDS.pca
+        ? identityScanJS(m)
+        : triangularOrderJS(
+            fixedTransformMatrixJS(transformKey(transformId), B)
+          );
+    return zonalScanJS(scan, k, order);
+  }
+  if (mode === "zonal-variance") return zonalScanJS(scan, k, zonalOrder);
+  return scan;
+}
+
+// ======= Encoder =======
+
+export function encodeCompressedJS({
+  width,
+  height,
+  B,
+  transformId,
+  levels,
+  steps,
+  T = null,
+  mean = null,
+  mode = "topk",
+  quantizer = "uniform",
+  param = 0,
+  zonalOrder = null,
+}) {
+  const d = B * B;
+  const m = steps.length;
+  const isPCA = transformId === TRANSFORM_IDS.pca;
+  if (isPCA && (!T || !mean)) {
+    throw new Error("PCA streams need the basis and mean");
+  }
+
+  const modeIndex = SELECTION_MODES.indexOf(mode);
+  if (modeIndex < 0) throw new Error("Unknown selection mode " + mode);
+  const storesMask = mode === "zonal-variance";
+  if (storesMask && !zonalOrder) {
+    throw new Error("zonal-variance streams need the mask order");
+  }
+
+  const scan = payloadScanJS(transformId, B, m, mode, param, zonalOrder);
+  const { bytes: payload } = entropyEncodeLevelsJS(levels, scan);
+
+  const sideBytes =
+    (isPCA ? 4 * m * d + 4 * d : 0) + (storesMask ? maskBytes(m) : 0);
+  const total = HEADER_BYTES + 4 * m + sideBytes + 4 + payload.length;
+  const buf = new ArrayBuffer(total);
+  const view = new DataView(buf);
+  const out = new Uint8Array(buf);
+
+  for (let i = 0; i < 4; i++) out[i] = CODEC_MAGIC.charCodeAt(i);
+  view.setUint8(4, CODEC_VERSION);
+  view.setUint8(5, transformId);
+  view.setUint16(6, B, true);
+  view.setUint32(8, width, true);
+  view.setUint32(12, height, true);
+  view.setUint8(16, modeIndex);
+  view.setUint8(17, quantizer === "deadzone" ? 1 : 0);
+  view.setUint16(18, param, true);
+  view.setUint16(20, m, true);
+
+  let off = HEADER_BYTES;
+  for (let j = 0; j < m; j++, off += 4) view.setFloat32(off, steps[j], true);
+  if (storesMask) {
+    for (const pos of zonalScanJS(identityScanJS(m), param, zonalOrder)) {
+      out[off + (pos >> 3)] |= 1 << (pos & 7);
+    }
+    off += maskBytes(m);
+  }
+  if (isPCA) {
+    for (let i = 0; i < m; i++) {
+      for (let j = 0; j < d; j++, off += 4) view.setFloat32(off, T[i][j], true);
+    }
+    for (let j = 0; j < d; j++, off += 4) view.setFloat32(off, mean[j], true);
+  }
+  view.setUint32(off, payload.length, true);
+  out.set(payload, off + 4);
+  return out;
+}
+
+// ======= Decoder =======
+
+export function readCompressedHeaderJS(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (bytes.length < HEADER_BYTES) throw new Error("File too short");
+  const magic = String.fromCharCode(...bytes.subarray(0, 4));
+  if (magic !== CODEC_MAGIC) throw new Error("Not a TVC1 compressed file");
+  const version = view.getUint8(4);
+  if (version !== CODEC_VERSION) {
+    throw new Error("Unsupported format version " + version);
+  }
+  const mode = SELECTION_MODES[view.getUint8(16)];
+  if (!mode) throw new Error("Unknown selection mode " + view.getUint8(16));
+  return {
+    transformId: view.getUint8(5),
+    B: view.getUint16(6, true),
+    width: view.getUint32(8, true),
+    height: view.getUint32(12, true),
+    mode,
+    quantizer: view.getUint8(17) === 1 ? "deadzone" : "uniform",
+    param: view.getUint16(18, true),
+    m: view.getUint16(20, true),
+  };
+}
+
+export function decodeCompressedJS(bytes) {
+  const header = readCompressedHeaderJS(bytes);
+  const { transformId, B, width, height, m } = header;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const d = B * B;
+
+  let off = HEADER_BYTES;
+  const steps = new Array(m);
+  for (let j = 0; j < m; j++, off += 4) steps[j] = view.getFloat32(off, true);
+
+  let mask = null;
+  if (header.mode === "zonal-variance") {
+    mask = identityScanJS(m).filter(
+      (pos) => bytes[off + (pos >> 3)] & (1 << (pos & 7))
+    );
+    off += maskBytes(m);
+  }
+
+  let T;
+  let mean = null;
+  if (transformId === TRANSFORM_IDS.pca) {
+    T = new Array(m);
+    for (let i = 0; i < m; i++) {
+      T[i] = new Array(d);
+      for (let j = 0; j < d; j++, off += 4) T[i][j] = view.getFloat32(off, true);
+    }
+    mean = new Array(d);
+    for (let j = 0; j < d; j++, off += 4) mean[j] = view.getFloat32(off, true);
+  } else {
+    T = fixedTransformOperatorJS(transformKey(transformId), B);
+  }
+
+  const payloadLength = view.getUint32(off, true);
+  off += 4;
+  if (off + payloadLength > bytes.length) throw new Error("Truncated payload");
+
+  const shape = {
+    nrows: Math.ceil(height / B),
+    ncols: Math.ceil(width / B),
+    B,
+  };
+  const numBlocks = shape.nrows * shape.ncols;
+  const scan = payloadScanJS(
+    transformId,
+    B,
+    m,
+    header.mode,
+    mask ? mask.length : header.param,
+    mask
+  );
+  const decoder = createArithmeticDecoder(
+    bytes.subarray(off, off + payloadLength)
+  );
+  const levels = entropyDecodeLevelsJS(decoder, numBlocks, m, scan);
+
+  const coeffs = dequantizeCoeffsJS(levels, steps);
+  const blocks = inverseTransformBlocksJS(coeffs, T, mean);
+  const gray = reconstructFromBlocksJS(blocks, shape, width, height);
+  for (let i = 0; i < gray.length; i++) {
+    if (gray[i] < 0) gray[i] = 0;
+    if (gray[i] > 1) gray[i] = 1;
+  }
+
+  return { ...header, gray, payloadBytes: payloadLength };
+}
@@ -0,0 +1,193 @@
+// src/lib/coefficientStats.js
+// Per-position statistics of transform coefficients: variance, a histogram
+// and maximum-likelihood style fits of the Gaussian, Laplacian and
+// generalized Gaussian (GGD) models usually assumed for AC coefficients.
+// Every model is centred on the sample mean, so the DC position fits too.
+import { toBlockMatrixJS } from "./blocks";
+
+export const DISTRIBUTION_MODELS = {
+  gaussian: { label: "Gaussian", color: "#facc15" },
+  laplacian: { label: "Laplacian", color: "#38bdf8" },
+  ggd: { label: "Generalized Gaussian", color: "#f472b6" },
+};
+
+const HISTOGRAM_BINS = 41;
+
+// Histogram range in standard deviations around the mean; rarer values are
+// counted in `outside` only.
+const HISTOGRAM_SIGMAS = 5;
+
+// ======= Special functions =======
+
+const LANCZOS = [
+  676.5203681218851, -1259.1392167224028, 771.32342877765313,
+  -176.61502916214059, 12.507343278686905, -0.13857109526572012,
+  9.9843695780195716e-6, 1.5056327351493116e-7,
+];
+
+// ln Γ(x) for x > 0 (Lanczos, g = 7)
+export function logGammaJS(x) {
+  if (x < 0.5) {
+    return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGammaJS(1 - x);
+  }
+  const z = x - 1;
+  let a = 0.99999999999980993;
+  const t = z + 7.5;
+  LANCZOS.forEach((c, i) => (a += c / (z + i + 1)));
+  return (
+    0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(a)
+  );
+}
+
+// ======= Fits =======
+
+// (E|x|)² / E[x²] of a GGD with shape β; increases from 0 to 3/4 with β
+// (1/2 for the Laplacian, 2/π for the Gaussian).
+function ggdMomentRatio(beta) {
+  return Math.exp(
+    2 * logGammaJS(2 / beta) - logGammaJS(1 / beta) - logGammaJS(3 / beta)
+  );
+}
+
+// Shape from the moment ratio by bisection on log β, clamped to [0.1, 10].
+function ggdShape(ratio) {
+  let lo = Math.log(0.1);
+  let hi = Math.log(10);
+  if (ratio <= ggdMomentRatio(0.1)) return 0.1;
+  if (ratio >= ggdMomentRatio(10)) return 10;
+  for (let it = 0; it < 60; it++) {
+    const mid = 0.5 * (lo + hi);
+    if (ggdMomentRatio(Math.exp(mid)) < ratio) lo = mid;
+    else hi = mid;
+  }
+  return Math.exp(0.5 * (lo + hi));
+}
+
+// values: samples of one coefficient position. Returns the sample moments
+// and, per model, its parameters and mean log-likelihood (nats per sample,
+// higher is better); null fits when the samples are constant.
+export function fitDistributionsJS(values) {
+  const n = values.length;
+  let mean = 0;
+  for (const x of values) mean += x;
+  mean /= n || 1;
+  let absSum = 0;
+  let sqSum = 0;
+  for (const x of values) {
+    const e = x - mean;
+    absSum += Math.abs(e);
+    sqSum += e * e;
+  }
+  const meanAbs = absSum / (n || 1);
+  const variance = sqSum / (n || 1);
+  if (!(variance > 1e-20)) {
+    return { n, mean, variance, gaussian: null, laplacian: null, ggd: null };
+  }
+
+  const sigma = Math.sqrt(variance);
+  const gaussian = {
+    sigma,
+    logLik: -0.5 * Math.log(2 * Math.PI * variance) - 0.5,
+  };
+  const laplacian = { b: meanAbs, logLik: -Math.log(2 * meanAbs) - 1 };
+
+  const beta = ggdShape((meanAbs * meanAbs) / variance);
+  const alpha = meanAbs * Math.exp(logGammaJS(1 / beta) - logGammaJS(2 / beta));
+  let tail = 0;
+  for (const x of values) tail += (Math.abs(x - mean) / alpha) ** beta;
+  const ggd = {
+    alpha,
+    beta,
+    logLik: Math.log(beta / (2 * alpha)) - logGammaJS(1 / beta) - tail / n,
+  };
+  return { n, mean, variance, gaussian, laplacian, ggd };
+}
+
+// Density of a fitted model at x (fit from fitDistributionsJS).
+export function distributionPdfJS(fit, model, x) {
+  const e = Math.abs(x - fit.mean);
+  if (model === "gaussian") {
+    const { sigma } = fit.gaussian;
+    return (
+      Math.exp(-(e * e) / (2 * sigma * sigma)) /
+      (sigma * Math.sqrt(2 * Math.PI))
+    );
+  }
+  if (model === "laplacian") {
+    const { b } = fit.laplacian;
+    return Math.exp(-e / b) / (2 * b);
+  }
+  const { alpha, beta } = fit.ggd;
+  return Math.exp(
+    Math.log(beta / (2 * alpha)) - logGammaJS(1 / beta) - (e / alpha) ** beta
+  );
+}
+
+// ======= Histograms =======
+
+// Density histogram (integrates to the share of samples inside the range)
+// over mean ± HISTOGRAM_SIGMAS σ, clipped to the observed range.
+export function coefficientHistogramJS(values, fit, bins = HISTOGRAM_BINS) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const x of values) {
+    min = Math.min(min, x);
+    max = Math.max(max, x);
+  }
+  const spread = HISTOGRAM_SIGMAS * Math.sqrt(fit.variance);
+  const lo = Math.max(min, fit.mean - spread);
+  const hi = Math.min(max, fit.mean + spread);
+  const width = (hi - lo) / bins || 1;
+  const counts = new Float64Array(bins);
+  let outside = 0;
+  for (const x of values) {
+    if (x < lo || x > hi) {
+      outside++;
+      continue;
+    }
+    counts[Math.min(bins - 1, Math.floor((x - lo) / width))]++;
+  }
+  const density = counts.map((c) => c / (values.length * width));
+  return { lo, hi, width, density, outside };
+}
+
+// ======= Per-position summary =======
+
+// coeffs: numBlocks × m block matrix. Returns the variance of every
+// position and, per position, its fits and histogram.
+export function coefficientStatsJS(coeffs, bins = HISTOGRAM_BINS) {
+  const C = toBlockMatrixJS(coeffs);
+  const m = C.cols;
+  const values = new Float64Array(C.rows);
+  const variances = new Float64Array(m);
+  const positions = [];
+  for (let j = 0; j < m; j++) {
+    for (let i = 0; i < C.rows; i++) values[i] = C.data[i * C.stride + j];
+    const fit = fitDistributionsJS(values);
+    variances[j] = fit.variance;
+    positions.push({
+      ...fit,
+      histogram: coefficientHistogramJS(values, fit, bins),
+    });
+  }
+  return { variances, positions };
+}
+
+// Sum of the per-position variances of a block matrix: the total variance
+// any orthonormal transform of these blocks redistributes.
+export function totalVarianceJS(blocks) {
+  const X = toBlockMatrixJS(blocks);
+  const n = X.rows || 1;
+  let total = 0;
+  for (let j = 0; j < X.cols; j++) {
+    let sum = 0;
+    let sumSq = 0;
+    for (let i = 0; i < X.rows; i++) {
+      const x = X.data[i * X.stride + j];
+      sum += x;
+      sumSq += x * x;
+    }
+    total += sumSq / n - (sum / n) ** 2;
+  }
+  return total;
+}
@@ -0,0 +1,249 @@
+// src/lib/color.js
+import {
+  transformBlocksJS,
+  inverseTransformBlocksJS,
+  quantizeOperatingPointJS,
+  zonalScanJS,
+  psnrJS,
+} from "./transforms";
+import { extractBlocksJS, reconstructFromBlocksJS } from "./imageUtils";
+import { dequantizeCoeffsJS } from "./quantization";
+import { entropyEncodeLevelsJS } from "./entropy";
+import { evaluateMetricsJS } from "./metrics";
+
+// ======= Color spaces =======
+
+// Horizontal / vertical chroma decimation factors
+export const CHROMA_SUBSAMPLING = {
+  "4:4:4": [1, 1],
+  "4:2:2": [2, 1],
+  "4:2:0": [2, 2],
+};
+
+// Full-range JPEG (JFIF) YCbCr on [0, 1] samples; chroma is centered at 0.5.
+export function rgbToYCbCrJS({ r, g, b }) {
+  const n = r.length;
+  const y = new Float32Array(n);
+  const cb = new Float32Array(n);
+  const cr = new Float32Array(n);
+  for (let i = 0; i < n; i++) {
+    y[i] = 0.299 * r[i] + 0.587 * g[i] + 0.114 * b[i];
+    cb[i] = 0.5 - 0.168736 * r[i] - 0.331264 * g[i] + 0.5 * b[i];
+    cr[i] = 0.5 + 0.5 * r[i] - 0.418688 * g[i] - 0.081312 * b[i];
+  }
+  return { y, cb, cr };
+}
+
+export function ycbcrToRgbJS({ y, cb, cr }) {
+  const n = y.length;
+  const r = new Float32Array(n);
+  const g = new Float32Array(n);
+  const b = new Float32Array(n);
+  const clamp = (v) => (v < 0 ? 0 : v > 1 ? 1 : v);
+  for (let i = 0; i < n; i++) {
+    const u = cb[i] - 0.5;
+    const v = cr[i] - 0.5;
+    r[i] = clamp(y[i] + 1.402 * v);
+    g[i] = clamp(y[i] - 0.344136 * u - 0.714136 * v);
+    b[i] = clamp(y[i] + 1.772 * u);
+  }
+  return { r, g, b };
+}
+
+// ======= Chroma subsampling =======
+
+// Box-filter decimation by (fx, fy). Odd sizes round up; the last column
+// or row averages only the samples that exist.
+export function downsamplePlaneJS(plane, width, height, fx, fy) {
+  const w = Math.ceil(width / fx);
+  const h = Math.ceil(height / fy);
+  const out = new Float32Array(w * h);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      let acc = 0;
+      let count = 0;
+      for (let sy = y * fy; sy < Math.min(height, (y + 1) * fy); sy++) {
+        for (let sx = x * fx; sx < Math.min(width, (x + 1) * fx); sx++) {
+          acc += plane[sy * width + sx];
+          count++;
+        }
+      }
+      out[y * w + x] = acc / count;
+    }
+  }
+  return out;
+}
+
+// Sample replication back to (width, height)
+export function upsamplePlaneJS(plane, width, height, fx, fy) {
+  const w = Math.ceil(width / fx);
+  const out = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      out[y * width + x] = plane[Math.floor(y / fy) * w + Math.floor(x / fx)];
+    }
+  }
+  return out;
+}
+
+// Y, Cb, Cr planes ready for block extraction.
+export function splitColorPlanesJS(rgb, width, height, subsampling) {
+  const [fx, fy] = CHROMA_SUBSAMPLING[subsampling];
+  const { y, cb, cr } = rgbToYCbCrJS(rgb);
+  const cw = Math.ceil(width / fx);
+  const ch = Math.ceil(height / fy);
+  return [
+    { name: "Y", data: y, width, height, chroma: false },
+    {
+      name: "Cb",
+      data: downsamplePlaneJS(cb, width, height, fx, fy),
+      width: cw,
+      height: ch,
+      chroma: true,
+    },
+    {
+      name: "Cr",
+      data: downsamplePlaneJS(cr, width, height, fx, fy),
+      width: cw,
+      height: ch,
+      chroma: true,
+    },
+  ];
+}
+
+export function mergeColorPlanesJS(planes, width, height, subsampling) {
+  const [fx, fy] = CHROMA_SUBSAMPLING[subsampling];
+  return ycbcrToRgbJS({
+    y: planes[0],
+    cb: upsamplePlaneJS(planes[1], width, height, fx, fy),
+    cr: upsamplePlaneJS(planes[2], width, height, fx, fy),
+  });
+}
+
+// Per-channel PSNR in YCbCr plus a combined PSNR over all RGB samples.
+export function colorPsnrJS(rgb, rgbRec) {
+  const a = rgbToYCbCrJS(rgb);
+  const b = rgbToYCbCrJS(rgbRec);
+  const n = rgb.r.length;
+  let mse = 0;
+  for (const c of ["r", "g", "b"]) {
+    for (let i = 0; i < n; i++) {
+      const diff = rgb[c][i] - rgbRec[c][i];
+      mse += diff * diff;
+    }
+  }
+  mse /= 3 * n;
+  return {
+    Y: psnrJS(a.y, b.y),
+    Cb: psnrJS(a.cb, b.cb),
+    Cr: psnrJS(a.cr, b.cr),
+    combined: mse === 0 ? 99.0 : 10 * Math.log10(1 / mse),
+  };
+}
+
+// ======= Per-plane coding =======
+
+// transformFor(plane, blocks) → { T, mean, table, scan } for that plane;
+// PCA, for example, fits its own basis on each plane.
+export function prepareColorPlanesJS(
+  planes,
+  B,
+  transformFor,
+  padMode = "edge"
+) {
+  return planes.map((plane) => {
+    const { blocks, shape } = extractBlocksJS(
+      plane.data,
+      plane.width,
+      plane.height,
+      B,
+      padMode
+    );
+    const tr = transformFor(plane, blocks);
+    return {
+      ...plane,
+      ...tr,
+      shape,
+      coeffs: transformBlocksJS(blocks, tr.T, tr.mean),
+    };
+  });
+}
+
+// One operating point through all three planes: reconstructed RGB, the
+// total coded size in bits and the levels of every plane.
+export function colorOperatingPointJS(
+  prepared,
+  width,
+  height,
+  subsampling,
+  k,
+  quant = null,
+  allocation = "block"
+) {
+  let bits = 0;
+  const planeLevels = [];
+  const recPlanes = prepared.map((p) => {
+    const { levels, steps } = quantizeOperatingPointJS(
+      p.coeffs,
+      k,
+      quant ? { ...quant, table: p.table } : null,
+      allocation
+    );
+    planeLevels.push(levels);
+    const scan = quant ? p.scan : zonalScanJS(p.scan, k, allocation);
+    bits += entropyEncodeLevelsJS(levels, scan).bits;
+    const blocksRec = inverseTransformBlocksJS(
+      dequantizeCoeffsJS(levels, steps),
+      p.T,
+      p.mean
+    );
+    return reconstructFromBlocksJS(blocksRec, p.shape, p.width, p.height);
+  });
+  return {
+    rgb: mergeColorPlanesJS(recPlanes, width, height, subsampling),
+    bits,
+    planeLevels,
+  };
+}
+
+// Same result shape as rateDistortionJS. PSNR is the combined RGB value;
+// the extra metrics are measured on luma.
+export function colorRateDistortionJS(
+  rgb,
+  prepared,
+  width,
+  height,
+  subsampling,
+  kValues,
+  quant = null,
+  metrics = [],
+  onProgress = null,
+  allocation = "block"
+) {
+  const rates = [];
+  const psnrs = [];
+  const metricValues = Object.fromEntries(metrics.map((key) => [key, []]));
+  const luma = rgbToYCbCrJS(rgb).y;
+  const B = prepared[0].shape.B;
+  for (let i = 0; i < kValues.length; i++) {
+    const k = kValues[i];
+    const { rgb: rec, bits } = colorOperatingPointJS(
+      prepared,
+      width,
+      height,
+      subsampling,
+      k,
+      quant,
+      allocation
+    );
+    rates.push(bits / (width * height));
+    psnrs.push(colorPsnrJS(rgb, rec).combined);
+    if (metrics.length) {
+      const lumaRec = rgbToYCbCrJS(rec).y;
+      const vals = evaluateMetricsJS(luma, lumaRec, width, height, B, metrics);
+      for (const key of metrics) metricValues[key].push(vals[key]);
+    }
+    if (onProgress) onProgress(i);
+  }
+  return { rates, psnrs, metrics: metricValues };
+}
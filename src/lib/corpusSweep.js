@@ -0,0 +1,271 @@
+// src/lib/corpusSweep.js
+// The block-size sweep run over a set of images: per-image rows, the mean
+// RD curve of every transform and block size with 95% confidence intervals,
+// and how often each transform wins at matched rate.
+import { runSweepJS, EXTRA_METRIC_KEYS } from "./analysis";
+import { matchedRatePsnrsJS, sweepBjontegaardJS } from "./bjontegaard";
+
+// Rates each (image, block size) contest is held at
+const MATCHED_RATES = 8;
+
+// Two-sided 95% Student t quantiles for 1…30 degrees of freedom
+const T_975 = [
+  12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228, 2.201,
+  2.179, 2.16, 2.145, 2.131, 2.12, 2.11, 2.101, 2.093, 2.086, 2.08, 2.074,
+  2.069, 2.064, 2.06, 2.056, 2.052, 2.048, 2.045, 2.042,
+];
+
+// ======= Statistics =======
+
+// t quantile for a 95% interval; past the table, the first terms of the
+// Cornish-Fisher expansion around the normal quantile.
+export function studentT975JS(df) {
+  if (df <= T_975.length) return T_975[df - 1];
+  const z = 1.959964;
+  return (
+    z +
+    (z ** 3 + z) / (4 * df) +
+    (5 * z ** 5 + 16 * z ** 3 + 3 * z) / (96 * df * df)
+  );
+}
+
+// Mean and 95% confidence half-width of the mean (null below two samples)
+export function meanConfidenceJS(values) {
+  const n = values.length;
+  const mean = values.reduce((a, b) => a + b, 0) / (n || 1);
+  if (n < 2) return { n, mean, ci: null };
+  const variance =
+    values.reduce((acc, v) => acc + (v - mean) ** 2, 0) / (n - 1);
+  return { n, mean, ci: studentT975JS(n - 1) * Math.sqrt(variance / n) };
+}
+
+// ======= Sweep over images =======
+
+// The swept parameter of a sweep row (k, quality or energy target)
+export const sweepParamJS = (r) => r.k ?? r.quality ?? r.energyTarget;
+
+// The extra metrics (besides PSNR) the sweep rows were measured with
+export const sweepMetricKeysJS = (results) =>
+  EXTRA_METRIC_KEYS.filter((key) => results.length && key in results[0]);
+
+// images: [{ name, width, height, gray }]; options as in runSweepJS.
+// Returns { images, results, aggregate, rankings, bjontegaard }: results are
+// the sweep rows of every image with its name in `image`, bjontegaard the
+// pairwise BD metrics averaged over images (PCHIP fits).
+export function runCorpusSweepJS(images, options = {}, onProgress = () => {}) {
+  const results = [];
+  images.forEach((image, i) => {
+    const rows = runSweepJS(image, options, ({ message, fraction }) =>
+      onProgress({
+        message: `${image.name} (${i + 1}/${images.length}): ${message}`,
+        fraction: (i + fraction) / images.length,
+      })
+    );
+    for (const r of rows) results.push({ image: image.name, ...r });
+  });
+  return {
+    images: images.map(({ name, width, height }) => ({ name, width, height })),
+    results,
+    aggregate: aggregateSweepJS(results),
+    rankings: rankTransformsJS(results),
+    bjontegaard: sweepBjontegaardJS(results),
+  };
+}
+
+// ======= Aggregation =======
+
+function groupBy(rows, keyOf) {
+  const groups = new Map();
+  for (const r of rows) {
+    const key = keyOf(r);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(r);
+  }
+  return groups;
+}
+
+// Mean over images of every transform, block size and swept parameter: bpp
+// and PSNR with their 95% confidence half-widths (bppCi, psnrCi), the other
+// metrics and the kept fraction as plain means. Sorted by block size,
+// transform and parameter, so each transform's curve is contiguous.
+export function aggregateSweepJS(results) {
+  const groups = groupBy(
+    results,
+    (r) => `${r.blockSize}|${r.transform}|${sweepParamJS(r)}`
+  );
+  const metricKeys = sweepMetricKeysJS(results);
+  const aggregate = [...groups.values()].map((rows) => {
+    const first = rows[0];
+    const mean = (key) => meanConfidenceJS(rows.map((r) => r[key])).mean;
+    const bpp = meanConfidenceJS(rows.map((r) => r.bpp));
+    const psnr = meanConfidenceJS(rows.map((r) => r.psnr));
+    return {
+      blockSize: first.blockSize,
+      k: first.k,
+      quality: first.quality,
+      energyTarget: first.energyTarget,
+      allocation: first.allocation,
+      transform: first.transform,
+      n: rows.length,
+      keptFraction: mean("keptFraction"),
+      bpp: bpp.mean,
+      bppCi: bpp.ci,
+      psnr: psnr.mean,
+      psnrCi: psnr.ci,
+      ...Object.fromEntries(metricKeys.map((key) => [key, mean(key)])),
+    };
+  });
+  return aggregate.sort(
+    (a, b) =>
+      a.blockSize - b.blockSize ||
+      a.transform.localeCompare(b.transform) ||
+      sweepParamJS(a) - sweepParamJS(b)
+  );
+}
+
+// Transforms compete on each image and block size at MATCHED_RATES bpp
+// points log-spaced over the range all their curves cover, every point a
+// contest won by the highest PSNR interpolated there (ties split the win and
+// share the rank); an image and block size whose curves share no rate range
+// hold no contests. Returns, per block size and over all of them (blockSize
+// null), each transform's wins, its share of the contests it entered and its
+// mean rank (1 = best).
+export function rankTransformsJS(results) {
+  const tally = new Map();
+  const entry = (blockSize, transform) => {
+    const key = `${blockSize}|${transform}`;
+    if (!tally.has(key)) {
+      tally.set(key, {
+        blockSize,
+        transform,
+        wins: 0,
+        contests: 0,
+        rankSum: 0,
+      });
+    }
+    return tally.get(key);
+  };
+  const contest = (blockSize, entries) => {
+    const best = Math.max(...entries.map((e) => e.psnr));
+    const winners = entries.filter((e) => e.psnr === best).length;
+    for (const { transform, psnr } of entries) {
+      const above = entries.filter((o) => o.psnr > psnr).length;
+      const tied = entries.filter((o) => o.psnr === psnr).length;
+      const rank = above + (tied + 1) / 2;
+      for (const e of [entry(blockSize, transform), entry(null, transform)]) {
+        e.contests++;
+        e.rankSum += rank;
+        if (psnr === best) e.wins += 1 / winners;
+      }
+    }
+  };
+  const groups = groupBy(results, (r) => `${r.image}|${r.blockSize}`);
+  for (const rows of groups.values()) {
+    const curves = [...groupBy(rows, (r) => r.transform).entries()].map(
+      ([transform, points]) => ({
+        transform,
+        rates: points.map((r) => r.bpp),
+        psnrs: points.map((r) => r.psnr),
+      })
+    );
+    const matched = matchedRatePsnrsJS(curves, MATCHED_RATES);
+    if (!matched) continue;
+    matched.rates.forEach((_, j) => {
+      const entries = curves.flatMap((c, i) =>
+        matched.psnrs[i]
+          ? [{ transform: c.transform, psnr: matched.psnrs[i][j] }]
+          : []
+      );
+      if (entries.length > 1) contest(rows[0].blockSize, entries);
+    });
+  }
+  return [...tally.values()]
+    .map(({ rankSum, ...e }) => ({
+      ...e,
+      share: e.wins / e.contests,
+      meanRank: rankSum / e.contests,
+    }))
+    .sort(
+      (a, b) =>
+        (a.blockSize ?? Infinity) - (b.blockSize ?? Infinity) ||
+        b.wins - a.wins ||
+        a.meanRank - b.meanRank
+    );
+}
+
+// ======= Export =======
+
+const csvNumber = (v, digits) =>
+  v === null || v === undefined ? "" : v.toFixed(digits);
+
+// CSV section of pairwise BD metrics (sweepBjontegaardJS rows)
+function bjontegaardCsv(rows) {
+  return [
+    "blockSize,test,anchor,bdRatePercent,bdPsnrDb,n",
+    ...rows.map(
+      (r) =>
+        `${r.blockSize},${r.test},${r.anchor},${csvNumber(r.bdRate, 4)},` +
+        `${csvNumber(r.bdPsnr, 4)},${r.n}`
+    ),
+  ];
+}
+
+// Sweep rows of one image as CSV, then, after a blank line, the pairwise
+// BD metrics (PCHIP fits).
+export function sweepCsvJS(results) {
+  const metricKeys = sweepMetricKeysJS(results);
+  const header =
+    "blockSize,k,quality,energyTarget,allocation,keptFraction,bpp," +
+    ["transform", "psnr", ...metricKeys].join(",");
+  const rows = results.map(
+    (r) =>
+      `${r.blockSize},${r.k ?? ""},${r.quality ?? ""},` +
+      `${r.energyTarget ?? ""},${r.allocation ?? ""},` +
+      `${r.keptFraction.toFixed(4)},${r.bpp.toFixed(4)},` +
+      [r.transform, r.psnr.toFixed(4)]
+        .concat(metricKeys.map((key) => r[key].toFixed(6)))
+        .join(",")
+  );
+  return [
+    header,
+    ...rows,
+    "",
+    ...bjontegaardCsv(sweepBjontegaardJS(results)),
+  ].join("\n");
+}
+
+// One CSV with three sections: the per-image rows followed by the means over
+// images (image "(mean)", with n and the confidence half-widths), then,
+// each after a blank line, the rankings and the BD metrics.
+export function corpusSweepCsvJS({
+  results,
+  aggregate,
+  rankings,
+  bjontegaard,
+}) {
+  const metricKeys = sweepMetricKeysJS(results);
+  const header =
+    "image,blockSize,k,quality,energyTarget,allocation,transform,n," +
+    ["keptFraction,bpp,bppCi95,psnr,psnrCi95", ...metricKeys].join(",");
+  const row = (r, image, n) =>
+    `"${image.replace(/"/g, '""')}",${r.blockSize},${r.k ?? ""},` +
+    `${r.quality ?? ""},${r.energyTarget ?? ""},${r.allocation ?? ""},` +
+    `${r.transform},${n},${csvNumber(r.keptFraction, 4)},` +
+    `${csvNumber(r.bpp, 4)},${csvNumber(r.bppCi, 4)},` +
+    `${csvNumber(r.psnr, 4)},${csvNumber(r.psnrCi, 4)}` +
+    metricKeys.map((key) => `,${csvNumber(r[key], 6)}`).join("");
+  const rankHeader = "blockSize,transform,wins,contests,share,meanRank";
+  const rankRow = (r) =>
+    `${r.blockSize ?? "all"},${r.transform},${r.wins.toFixed(2)},` +
+    `${r.contests},${r.share.toFixed(4)},${r.meanRank.toFixed(3)}`;
+  return [
+    header,
+    ...results.map((r) => row(r, r.image, 1)),
+    ...aggregate.map((r) => row(r, "(mean)", r.n)),
+    "",
+    rankHeader,
+    ...rankings.map(rankRow),
+    "",
+    ...bjontegaardCsv(bjontegaard),
+  ].join("\n");
+}
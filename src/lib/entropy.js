@@ -0,0 +1,381 @@
+// src/lib/entropy.js
+import { hadamardMatrixJS } from "./transforms";
+import { frequencyRankOfRowsJS } from "./quantization";
+import { createBlockMatrixJS, blockRowJS, toBlockMatrixJS } from "./blocks";
+
+// ======= Scan orders =======
+
+// JPEG zigzag over a B×B coefficient block (flat index u*B + v).
+export function zigzagOrderJS(B) {
+  const order = [];
+  for (let s = 0; s < 2 * B - 1; s++) {
+    const lo = Math.max(0, s - B + 1);
+    const hi = Math.min(s, B - 1);
+    if (s % 2 === 0) {
+      for (let u = hi; u >= lo; u--) order.push(u * B + (s - u));
+    } else {
+      for (let u = lo; u <= hi; u++) order.push(u * B + (s - u));
+    }
+  }
+  return order;
+}
+
+// Zigzag over frequency ranks, for separable bases whose rows are not in
+// frequency order.
+export function rankedScanOrderJS(T1d) {
+  const B = T1d.length;
+  const rank = frequencyRankOfRowsJS(T1d);
+  const rowOfRank = new Array(B);
+  rank.forEach((r, row) => (rowOfRank[r] = row));
+  return zigzagOrderJS(B).map((idx) => {
+    const ru = Math.floor(idx / B);
+    const rv = idx % B;
+    return rowOfRank[ru] * B + rowOfRank[rv];
+  });
+}
+
+// Zigzag in sequency order, for the natural-order Hadamard basis.
+export function hadamardScanOrderJS(B) {
+  return rankedScanOrderJS(hadamardMatrixJS(B));
+}
+
+// PCA coefficients are already sorted by decreasing variance.
+export function identityScanJS(d) {
+  return Array.from({ length: d }, (_, i) => i);
+}
+
+// ======= Arithmetic coder =======
+
+// 32-bit integer arithmetic coder (Witten–Neal–Cleary). Plain numbers are
+// used instead of bitwise ops so that the full unsigned range is available;
+// range × total stays below 2^53 because totals are capped at MAX_TOTAL.
+const CODE_TOP = 0xffffffff;
+const HALF = 0x80000000;
+const QUARTER = 0x40000000;
+const MAX_TOTAL = 1 << 16;
+const MODEL_INCREMENT = 32;
+
+export function createAdaptiveModel(numSymbols) {
+  const freq = new Array(numSymbols).fill(1);
+  let total = numSymbols;
+  return {
+    numSymbols,
+    get total() {
+      return total;
+    },
+    range(symbol) {
+      let low = 0;
+      for (let s = 0; s < symbol; s++) low += freq[s];
+      return [low, low + freq[symbol]];
+    },
+    find(count) {
+      let low = 0;
+      for (let s = 0; s < numSymbols; s++) {
+        if (count < low + freq[s]) return [s, low, low + freq[s]];
+        low += freq[s];
+      }
+      throw new Error("Arithmetic decoder lost sync");
+    },
+    update(symbol) {
+      freq[symbol] += MODEL_INCREMENT;
+      total += MODEL_INCREMENT;
+      if (total > MAX_TOTAL) {
+        total = 0;
+        for (let s = 0; s < numSymbols; s++) {
+          freq[s] = (freq[s] + 1) >> 1;
+          total += freq[s];
+        }
+      }
+    },
+  };
+}
+
+export function createArithmeticEncoder() {
+  const bytes = [];
+  let cur = 0;
+  let nbits = 0;
+  let low = 0;
+  let high = CODE_TOP;
+  let pending = 0;
+
+  const pushBit = (bit) => {
+    cur = (cur << 1) | bit;
+    if (++nbits === 8) {
+      bytes.push(cur);
+      cur = 0;
+      nbits = 0;
+    }
+  };
+  const emit = (bit) => {
+    pushBit(bit);
+    for (; pending > 0; pending--) pushBit(1 - bit);
+  };
+
+  const encodeRange = (cumLow, cumHigh, total) => {
+    const range = high - low + 1;
+    high = low + Math.floor((range * cumHigh) / total) - 1;
+    low = low + Math.floor((range * cumLow) / total);
+    for (;;) {
+      if (high < HALF) {
+        emit(0);
+      } else if (low >= HALF) {
+        emit(1);
+        low -= HALF;
+        high -= HALF;
+      } else if (low >= QUARTER && high < 3 * QUARTER) {
+        pending++;
+        low -= QUARTER;
+        high -= QUARTER;
+      } else {
+        break;
+      }
+      low = 2 * low;
+      high = 2 * high + 1;
+    }
+  };
+
+  return {
+    encode(model, symbol) {
+      const [cumLow, cumHigh] = model.range(symbol);
+      encodeRange(cumLow, cumHigh, model.total);
+      model.update(symbol);
+    },
+    // Equiprobable raw bits (amplitude refinements)
+    encodeBits(value, count) {
+      for (let i = count - 1; i >= 0; i--) {
+        const bit = Math.floor(value / 2 ** i) & 1;
+        encodeRange(bit, bit + 1, 2);
+      }
+    },
+    finish() {
+      pending++;
+      emit(low < QUARTER ? 0 : 1);
+      const bitLength = bytes.length * 8 + nbits;
+      if (nbits > 0) bytes.push(cur << (8 - nbits));
+      return { bytes: Uint8Array.from(bytes), bits: bitLength };
+    },
+  };
+}
+
+export function createArithmeticDecoder(bytes, offset = 0) {
+  let pos = offset * 8;
+  const nextBit = () => {
+    const byte = pos >> 3 < bytes.length ? bytes[pos >> 3] : 0;
+    const bit = (byte >> (7 - (pos & 7))) & 1;
+    pos++;
+    return bit;
+  };
+
+  let low = 0;
+  let high = CODE_TOP;
+  let value = 0;
+  for (let i = 0; i < 32; i++) value = 2 * value + nextBit();
+
+  const decodeWith = (find, total) => {
+    const range = high - low + 1;
+    const count = Math.floor(((value - low + 1) * total - 1) / range);
+    const [symbol, cumLow, cumHigh] = find(count);
+    high = low + Math.floor((range * cumHigh) / total) - 1;
+    low = low + Math.floor((range * cumLow) / total);
+    for (;;) {
+      if (high < HALF) {
+        // nothing to subtract
+      } else if (low >= HALF) {
+        low -= HALF;
+        high -= HALF;
+        value -= HALF;
+      } else if (low >= QUARTER && high < 3 * QUARTER) {
+        low -= QUARTER;
+        high -= QUARTER;
+        value -= QUARTER;
+      } else {
+        break;
+      }
+      low = 2 * low;
+      high = 2 * high + 1;
+      value = 2 * value + nextBit();
+    }
+    return symbol;
+  };
+
+  const findBit = (count) => (count < 1 ? [0, 0, 1] : [1, 1, 2]);
+
+  return {
+    decode(model) {
+      const symbol = decodeWith((c) => model.find(c), model.total);
+      model.update(symbol);
+      return symbol;
+    },
+    decodeBits(count) {
+      let v = 0;
+      for (let i = 0; i < count; i++) v = 2 * v + decodeWith(findBit, 2);
+      return v;
+    },
+  };
+}
+
+// ======= Coefficient coding =======
+
+// JPEG-style symbols: the first scan position is DPCM-coded across blocks
+// as a size category; the rest are (zero run, size) pairs with EOB / ZRL.
+// Amplitudes follow as raw bits in one's-complement form.
+const MAX_CATEGORY = 16;
+const EOB = 0x00;
+const ZRL = 0xf0;
+
+function sizeCategory(v) {
+  let a = Math.abs(v);
+  let s = 0;
+  while (a > 0) {
+    s++;
+    a = Math.floor(a / 2);
+  }
+  return s;
+}
+
+function amplitudeBits(v, size) {
+  return v >= 0 ? v : v + 2 ** size - 1;
+}
+
+function amplitudeValue(bits, size) {
+  if (size === 0) return 0;
+  return bits >= 2 ** (size - 1) ? bits : bits - 2 ** size + 1;
+}
+
+function createCoefficientModels() {
+  return {
+    dc: createAdaptiveModel(MAX_CATEGORY + 1),
+    ac: createAdaptiveModel(256),
+  };
+}
+
+// Symbols of one block, in coding order: sink.dc(size, value) for the DC
+// difference, then sink.ac(symbol, value, size) per (run, size) pair, ZRL or
+// EOB (value and size are 0 for the last two). Returns the block's DC level
+// for the next prediction.
+function blockSymbols(row, scan, prevDC, sink) {
+  const dc = row[scan[0]];
+  const diff = dc - prevDC;
+  const dcSize = sizeCategory(diff);
+  if (dcSize > MAX_CATEGORY) throw new Error("DC level out of range");
+  sink.dc(dcSize, diff);
+
+  let run = 0;
+  let last = scan.length - 1;
+  while (last > 0 && row[scan[last]] === 0) last--;
+  for (let p = 1; p <= last; p++) {
+    const v = row[scan[p]];
+    if (v === 0) {
+      run++;
+      continue;
+    }
+    while (run > 15) {
+      sink.ac(ZRL, 0, 0);
+      run -= 16;
+    }
+    const size = sizeCategory(v);
+    if (size > 15) throw new Error("AC level out of range");
+    sink.ac(run * 16 + size, v, size);
+    run = 0;
+  }
+  if (last < scan.length - 1) sink.ac(EOB, 0, 0);
+  return dc;
+}
+
+// levels: numBlocks × d integer block matrix (from quantizeCoeffsJS); scan:
+// the order in which positions are visited. Positions missing from `scan`
+// are not coded.
+export function entropyEncodeLevelsJS(levels, scan, encoder = null) {
+  const enc = encoder || createArithmeticEncoder();
+  const models = createCoefficientModels();
+  const L = toBlockMatrixJS(levels, Int32Array);
+  const sink = {
+    dc(size, value) {
+      enc.encode(models.dc, size);
+      enc.encodeBits(amplitudeBits(value, size), size);
+    },
+    ac(symbol, value, size) {
+      enc.encode(models.ac, symbol);
+      enc.encodeBits(amplitudeBits(value, size), size);
+    },
+  };
+  let prevDC = 0;
+  for (let i = 0; i < L.rows; i++) {
+    prevDC = blockSymbols(blockRowJS(L, i), scan, prevDC, sink);
+  }
+
+  return encoder ? null : enc.finish();
+}
+
+export function entropyDecodeLevelsJS(decoder, numBlocks, d, scan) {
+  const models = createCoefficientModels();
+  const levels = createBlockMatrixJS(numBlocks, d, Int32Array);
+  let prevDC = 0;
+
+  for (let i = 0; i < numBlocks; i++) {
+    const row = blockRowJS(levels, i);
+    const dcSize = decoder.decode(models.dc);
+    prevDC += amplitudeValue(decoder.decodeBits(dcSize), dcSize);
+    row[scan[0]] = prevDC;
+
+    let p = 1;
+    while (p < scan.length) {
+      const sym = decoder.decode(models.ac);
+      if (sym === EOB) break;
+      if (sym === ZRL) {
+        p += 16;
+        continue;
+      }
+      const run = sym >> 4;
+      const size = sym & 15;
+      p += run;
+      row[scan[p]] = amplitudeValue(decoder.decodeBits(size), size);
+      p++;
+    }
+  }
+  return levels;
+}
+
+// Estimated bits of every block on its own: symbols charged their static
+// self-information over the whole set (−log2 of their frequency) plus the
+// raw amplitude bits. Used to compare candidate codings of one block, where
+// running the adaptive coder per block would be too slow.
+export function blockBitsEstimateJS(levels, scan) {
+  const L = toBlockMatrixJS(levels, Int32Array);
+  const dcCounts = new Float64Array(MAX_CATEGORY + 1);
+  const acCounts = new Float64Array(256);
+  const count = {
+    dc: (size) => dcCounts[size]++,
+    ac: (symbol) => acCounts[symbol]++,
+  };
+  let prevDC = 0;
+  for (let i = 0; i < L.rows; i++) {
+    prevDC = blockSymbols(blockRowJS(L, i), scan, prevDC, count);
+  }
+
+  const costs = (counts) => {
+    const total = counts.reduce((a, c) => a + c, 0) || 1;
+    return counts.map((c) => -Math.log2((c || 0.5) / total));
+  };
+  const dcCost = costs(dcCounts);
+  const acCost = costs(acCounts);
+  const bits = new Float64Array(L.rows);
+  let blockBits = 0;
+  const charge = {
+    dc: (size) => (blockBits += dcCost[size] + size),
+    ac: (symbol, value, size) => (blockBits += acCost[symbol] + size),
+  };
+  prevDC = 0;
+  for (let i = 0; i < L.rows; i++) {
+    blockBits = 0;
+    prevDC = blockSymbols(blockRowJS(L, i), scan, prevDC, charge);
+    bits[i] = blockBits;
+  }
+  return bits;
+}
+
+// Coded size of a set of quantized blocks, in bits per pixel.
+export function bitsPerPixelJS(levels, scan, numPixels) {
+  const { bits } = entropyEncodeLevelsJS(levels, scan);
+  return bits / numPixels;
+}
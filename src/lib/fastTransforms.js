@@ -0,0 +1,240 @@
+// src/lib/fastTransforms.js
+// Separable 2D transforms. A B×B block goes through a 1D transform along
+// its rows and then its columns (Y = T·X·Tᵀ), which costs O(B³) with a
+// matrix and O(B² log B) with the fast DCT / Walsh–Hadamard below, instead
+// of the O(B⁴) product with the B²×B² Kronecker matrix.
+//
+// The operators returned here can be passed anywhere a transform matrix T is
+// accepted (transformBlocksJS, inverseTransformBlocksJS, rateDistortionJS).
+// Coefficient u·B + v and pixel y·B + x use the same layout as
+// kron2DFrom1DJS, so both paths give the same numbers.
+import {
+  dctMatrixJS,
+  kron2DFrom1DJS,
+  transformBlocksJS,
+  inverseTransformBlocksJS,
+} from "./transforms";
+import { blockRowJS, sliceBlockRowsJS, toBlockMatrixJS } from "./blocks";
+
+const isPowerOfTwo = (n) => n > 0 && (n & (n - 1)) === 0;
+
+// ======= Fast DCT-II / DCT-III (Lee 1984) =======
+
+// cos((i + ½)·π / len) · 2 for every recursion level, cached per size
+const leeFactorCache = new Map();
+function leeFactors(len) {
+  let f = leeFactorCache.get(len);
+  if (!f) {
+    f = new Float64Array(len / 2);
+    for (let i = 0; i < len / 2; i++) {
+      f[i] = Math.cos(((i + 0.5) * Math.PI) / len) * 2;
+    }
+    leeFactorCache.set(len, f);
+  }
+  return f;
+}
+
+// Unnormalized DCT-II of vector[off .. off+len), temp is scratch space of
+// the same size.
+function leeForward(vector, off, len, temp) {
+  if (len === 1) return;
+  const half = len / 2;
+  const f = leeFactors(len);
+  for (let i = 0; i < half; i++) {
+    const x = vector[off + i];
+    const y = vector[off + len - 1 - i];
+    temp[off + i] = x + y;
+    temp[off + i + half] = (x - y) / f[i];
+  }
+  leeForward(temp, off, half, vector);
+  leeForward(temp, off + half, half, vector);
+  for (let i = 0; i < half - 1; i++) {
+    vector[off + i * 2] = temp[off + i];
+    vector[off + i * 2 + 1] = temp[off + i + half] + temp[off + i + half + 1];
+  }
+  vector[off + len - 2] = temp[off + half - 1];
+  vector[off + len - 1] = temp[off + len - 1];
+}
+
+// Inverse of leeForward up to the DC halving (DCT-III)
+function leeInverse(vector, off, len, temp) {
+  if (len === 1) return;
+  const half = len / 2;
+  const f = leeFactors(len);
+  temp[off] = vector[off];
+  temp[off + half] = vector[off + 1];
+  for (let i = 1; i < half; i++) {
+    temp[off + i] = vector[off + i * 2];
+    temp[off + i + half] = vector[off + i * 2 - 1] + vector[off + i * 2 + 1];
+  }
+  leeInverse(temp, off, half, vector);
+  leeInverse(temp, off + half, half, vector);
+  for (let i = 0; i < half; i++) {
+    const x = temp[off + i];
+    const y = temp[off + i + half] / f[i];
+    vector[off + i] = x + y;
+    vector[off + len - 1 - i] = x - y;
+  }
+}
+
+// In-place orthonormal DCT-II, matching the rows of dctMatrixJS(N).
+// N must be a power of two.
+export function fastDct1DJS(x, temp = new Float64Array(x.length)) {
+  const N = x.length;
+  leeForward(x, 0, N, temp);
+  const s0 = Math.sqrt(1 / N);
+  const s = Math.sqrt(2 / N);
+  x[0] *= s0;
+  for (let k = 1; k < N; k++) x[k] *= s;
+  return x;
+}
+
+// In-place inverse of fastDct1DJS
+export function fastIdct1DJS(x, temp = new Float64Array(x.length)) {
+  const N = x.length;
+  const s = Math.sqrt(2 / N);
+  x[0] *= Math.sqrt(1 / N);
+  for (let k = 1; k < N; k++) x[k] *= s;
+  leeInverse(x, 0, N, temp);
+  return x;
+}
+
+// ======= Fast Walsh–Hadamard =======
+
+// In-place orthonormal WHT in natural (Sylvester) order, matching the rows
+// of hadamardMatrixJS(N). Self-inverse.
+export function fastWalshHadamard1DJS(x) {
+  const N = x.length;
+  for (let h = 1; h < N; h *= 2) {
+    for (let i = 0; i < N; i += 2 * h) {
+      for (let j = i; j < i + h; j++) {
+        const a = x[j];
+        const b = x[j + h];
+        x[j] = a + b;
+        x[j + h] = a - b;
+      }
+    }
+  }
+  const scale = 1 / Math.sqrt(N);
+  for (let i = 0; i < N; i++) x[i] *= scale;
+  return x;
+}
+
+// ======= Separable operators =======
+
+// 1D forward / inverse pair from an orthonormal N×N matrix, O(N²)
+function matrix1D(T1d) {
+  const N = T1d.length;
+  const buf = new Float64Array(N);
+  const apply = (x, transpose) => {
+    for (let k = 0; k < N; k++) {
+      let acc = 0;
+      for (let n = 0; n < N; n++) {
+        acc += (transpose ? T1d[n][k] : T1d[k][n]) * x[n];
+      }
+      buf[k] = acc;
+    }
+    x.set(buf);
+    return x;
+  };
+  return {
+    forward: (x) => apply(x, false),
+    inverse: (x) => apply(x, true),
+  };
+}
+
+// Wrap in-place 1D transforms of length B into a block operator.
+// forward(block, out, meanVec) and inverse(coeffs, out) read one row of a
+// block matrix and write the result into `out` (a new Float64Array when
+// omitted).
+export function separableTransformJS(B, forward1d, inverse1d, name = "") {
+  const d = B * B;
+  const line = new Float64Array(B);
+
+  // rows, then columns; the 1D transform works on `line` in place
+  const apply2D = (src, out, fn, offset = null) => {
+    for (let j = 0; j < d; j++) out[j] = src[j] - (offset ? offset[j] : 0);
+    for (let y = 0; y < B; y++) {
+      for (let x = 0; x < B; x++) line[x] = out[y * B + x];
+      fn(line);
+      for (let x = 0; x < B; x++) out[y * B + x] = line[x];
+    }
+    for (let x = 0; x < B; x++) {
+      for (let y = 0; y < B; y++) line[y] = out[y * B + x];
+      fn(line);
+      for (let y = 0; y < B; y++) out[y * B + x] = line[y];
+    }
+    return out;
+  };
+
+  return {
+    separable: true,
+    name,
+    B,
+    d,
+    m: d,
+    forward: (block, out = new Float64Array(d), meanVec = null) =>
+      apply2D(block, out, forward1d, meanVec),
+    inverse: (coeffs, out = new Float64Array(d)) =>
+      apply2D(coeffs, out, inverse1d),
+  };
+}
+
+// DCT: Lee's O(N log N) algorithm for power-of-two B, the separable matrix
+// product otherwise.
+export function dctTransformJS(B) {
+  if (isPowerOfTwo(B)) {
+    const temp = new Float64Array(B);
+    return separableTransformJS(
+      B,
+      (x) => fastDct1DJS(x, temp),
+      (x) => fastIdct1DJS(x, temp),
+      "fast DCT"
+    );
+  }
+  const { forward, inverse } = matrix1D(dctMatrixJS(B));
+  return separableTransformJS(B, forward, inverse, "separable DCT");
+}
+
+export function hadamardTransformJS(B) {
+  if (!isPowerOfTwo(B)) {
+    throw new Error("N must be power of 2 for Hadamard");
+  }
+  return separableTransformJS(
+    B,
+    fastWalshHadamard1DJS,
+    fastWalshHadamard1DJS,
+    "fast WHT"
+  );
+}
+
+// Any orthonormal 1D matrix as a separable operator
+export function separableFromMatrixJS(T1d, name = "separable") {
+  const { forward, inverse } = matrix1D(T1d);
+  return separableTransformJS(T1d.length, forward, inverse, name);
+}
+
+// ======= Kronecker reference check =======
+
+// Largest |difference| between an operator and the B²×B² Kronecker product
+// of T1d on the given blocks (at most maxBlocks of them), forward and
+// inverse.
+export function kroneckerDeviationJS(op, T1d, blocks, maxBlocks = 256) {
+  const sample = sliceBlockRowsJS(toBlockMatrixJS(blocks), 0, maxBlocks);
+  const K = kron2DFrom1DJS(T1d);
+  const ref = transformBlocksJS(sample, K);
+  const fwd = transformBlocksJS(sample, op);
+  const inv = inverseTransformBlocksJS(ref, op);
+  let maxDiff = 0;
+  for (let i = 0; i < ref.data.length; i++) {
+    maxDiff = Math.max(maxDiff, Math.abs(fwd.data[i] - ref.data[i]));
+  }
+  for (let i = 0; i < sample.rows; i++) {
+    const x = blockRowJS(sample, i);
+    const xr = blockRowJS(inv, i);
+    for (let j = 0; j < op.d; j++) {
+      maxDiff = Math.max(maxDiff, Math.abs(xr[j] - x[j]));
+    }
+  }
+  return maxDiff;
+}
@@ -0,0 +1,424 @@
+// src/lib/imageDecoders.js
+// Pure-JS PNG and PGM/PPM decoders, so images can be read without a canvas
+// (e.g. from Node). Every decoder returns { width, height, data } with 8-bit
+// RGBA pixels in data, like ImageData; imageDataToFloatJS turns that into
+// the planes the transforms work on.
+
+// ======= Inflate (zlib / deflate) =======
+
+const LENGTH_BASE = [
+  3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67,
+  83, 99, 115, 131, 163, 195, 227, 258,
+];
+const LENGTH_EXTRA = [
+  0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5,
+  5, 5, 0,
+];
+const DIST_BASE = [
+  1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769,
+  1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577,
+];
+const DIST_EXTRA = [
+  0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11,
+  11, 12, 12, 13, 13,
+];
+// Order in which the code-length code lengths are stored
+const CODE_LENGTH_ORDER = [
+  16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15,
+];
+
+// Canonical Huffman code from code lengths: codes per length and the
+// symbols in code order.
+function huffmanCode(lengths) {
+  const counts = new Uint16Array(16);
+  for (const l of lengths) counts[l]++;
+  counts[0] = 0;
+  const offsets = new Uint16Array(16);
+  for (let l = 1; l < 16; l++) offsets[l] = offsets[l - 1] + counts[l - 1];
+  const symbols = new Uint16Array(lengths.length);
+  lengths.forEach((l, sym) => {
+    if (l) symbols[offsets[l]++] = sym;
+  });
+  return { counts, symbols };
+}
+
+let fixedCodes = null;
+
+function fixedHuffmanCodes() {
+  if (!fixedCodes) {
+    const lengths = new Uint8Array(288);
+    lengths.fill(8, 0, 144);
+    lengths.fill(9, 144, 256);
+    lengths.fill(7, 256, 280);
+    lengths.fill(8, 280, 288);
+    fixedCodes = {
+      literals: huffmanCode(lengths),
+      distances: huffmanCode(new Uint8Array(30).fill(5)),
+    };
+  }
+  return fixedCodes;
+}
+
+// LSB-first bit reader over a byte array
+function bitReader(bytes, pos) {
+  let buffer = 0;
+  let count = 0;
+  return {
+    bits(n) {
+      while (count < n) {
+        if (pos >= bytes.length) throw new Error("Truncated deflate stream");
+        buffer |= bytes[pos++] << count;
+        count += 8;
+      }
+      const v = buffer & ((1 << n) - 1);
+      buffer >>>= n;
+      count -= n;
+      return v;
+    },
+    // Drops the bits left in the current byte (stored blocks start aligned)
+    align() {
+      buffer = 0;
+      count = 0;
+    },
+    get pos() {
+      return pos;
+    },
+    skip(n) {
+      pos += n;
+    },
+  };
+}
+
+function decodeSymbol(reader, { counts, symbols }) {
+  let code = 0;
+  let first = 0;
+  let index = 0;
+  for (let len = 1; len < 16; len++) {
+    code |= reader.bits(1);
+    const count = counts[len];
+    if (code - first < count) return symbols[index + code - first];
+    index += count;
+    first = (first + count) << 1;
+    code <<= 1;
+  }
+  throw new Error("Invalid Huffman code in deflate stream");
+}
+
+function dynamicHuffmanCodes(reader) {
+  const nlit = reader.bits(5) + 257;
+  const ndist = reader.bits(5) + 1;
+  const nclen = reader.bits(4) + 4;
+  const clen = new Uint8Array(19);
+  for (let i = 0; i < nclen; i++) clen[CODE_LENGTH_ORDER[i]] = reader.bits(3);
+  const lengthCode = huffmanCode(clen);
+  const lengths = new Uint8Array(nlit + ndist);
+  for (let i = 0; i < nlit + ndist;) {
+    const sym = decodeSymbol(reader, lengthCode);
+    if (sym < 16) {
+      lengths[i++] = sym;
+      continue;
+    }
+    let value = 0;
+    let repeat;
+    if (sym === 16) {
+      if (i === 0) throw new Error("Invalid deflate code lengths");
+      value = lengths[i - 1];
+      repeat = 3 + reader.bits(2);
+    } else if (sym === 17) {
+      repeat = 3 + reader.bits(3);
+    } else {
+      repeat = 11 + reader.bits(7);
+    }
+    if (i + repeat > nlit + ndist) {
+      throw new Error("Invalid deflate code lengths");
+    }
+    lengths.fill(value, i, i + repeat);
+    i += repeat;
+  }
+  return {
+    literals: huffmanCode(lengths.subarray(0, nlit)),
+    distances: huffmanCode(lengths.subarray(nlit)),
+  };
+}
+
+// zlib-wrapped deflate data (RFC 1950/1951). sizeHint presizes the output;
+// the Adler-32 checksum is not verified.
+export function inflateJS(bytes, sizeHint = 0) {
+  if ((bytes[0] & 0x0f) !== 8 || ((bytes[0] << 8) | bytes[1]) % 31 !== 0) {
+    throw new Error("Not a zlib stream");
+  }
+  let out = new Uint8Array(Math.max(sizeHint, 1024));
+  let n = 0;
+  const reserve = (extra) => {
+    if (n + extra <= out.length) return;
+    const grown = new Uint8Array(Math.max(out.length * 2, n + extra));
+    grown.set(out.subarray(0, n));
+    out = grown;
+  };
+
+  const reader = bitReader(bytes, 2);
+  let last = 0;
+  while (!last) {
+    last = reader.bits(1);
+    const type = reader.bits(2);
+    if (type === 0) {
+      reader.align();
+      const p = reader.pos;
+      const len = bytes[p] | (bytes[p + 1] << 8);
+      if (p + 4 + len > bytes.length) {
+        throw new Error("Truncated deflate stream");
+      }
+      reserve(len);
+      out.set(bytes.subarray(p + 4, p + 4 + len), n);
+      n += len;
+      reader.skip(4 + len);
+      continue;
+    }
+    if (type === 3) throw new Error("Invalid deflate block type");
+    const { literals, distances } =
+      type === 1 ? fixedHuffmanCodes() : dynamicHuffmanCodes(reader);
+    for (;;) {
+      const sym = decodeSymbol(reader, literals);
+      if (sym < 256) {
+        reserve(1);
+        out[n++] = sym;
+      } else if (sym === 256) {
+        break;
+      } else {
+        const li = sym - 257;
+        if (li >= LENGTH_BASE.length) throw new Error("Invalid deflate length");
+        const len = LENGTH_BASE[li] + reader.bits(LENGTH_EXTRA[li]);
+        const di = decodeSymbol(reader, distances);
+        if (di >= DIST_BASE.length) throw new Error("Invalid deflate distance");
+        const dist = DIST_BASE[di] + reader.bits(DIST_EXTRA[di]);
+        if (dist > n) throw new Error("Invalid deflate distance");
+        reserve(len);
+        for (let i = 0; i < len; i++, n++) out[n] = out[n - dist];
+      }
+    }
+  }
+  return out.subarray(0, n);
+}
+
+// ======= PNG =======
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+// Samples per pixel by PNG color type
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// Adam7 passes: [x0, y0, dx, dy]
+const ADAM7 = [
+  [0, 0, 8, 8],
+  [4, 0, 8, 8],
+  [0, 4, 4, 8],
+  [2, 0, 4, 4],
+  [0, 2, 2, 4],
+  [1, 0, 2, 2],
+  [0, 1, 1, 2],
+];
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+}
+
+// Undoes the per-row filters in place; returns the rows without their
+// filter bytes.
+function unfilter(raw, offset, rows, stride, bpp) {
+  const out = new Uint8Array(rows * stride);
+  for (let y = 0; y < rows; y++) {
+    const filter = raw[offset + y * (stride + 1)];
+    const src = offset + y * (stride + 1) + 1;
+    const row = y * stride;
+    const prev = row - stride;
+    for (let i = 0; i < stride; i++) {
+      const a = i >= bpp ? out[row + i - bpp] : 0;
+      const b = y > 0 ? out[prev + i] : 0;
+      const c = y > 0 && i >= bpp ? out[prev + i - bpp] : 0;
+      let pred;
+      switch (filter) {
+        case 0:
+          pred = 0;
+          break;
+        case 1:
+          pred = a;
+          break;
+        case 2:
+          pred = b;
+          break;
+        case 3:
+          pred = (a + b) >> 1;
+          break;
+        case 4:
+          pred = paeth(a, b, c);
+          break;
+        default:
+          throw new Error("Invalid PNG filter type " + filter);
+      }
+      out[row + i] = (raw[src + i] + pred) & 0xff;
+    }
+  }
+  return out;
+}
+
+export function decodePngJS(bytes) {
+  if (!PNG_SIGNATURE.every((v, i) => bytes[i] === v)) {
+    throw new Error("Not a PNG file");
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let header = null;
+  let palette = null;
+  const idat = [];
+  for (let p = 8; p + 8 <= bytes.length;) {
+    const len = view.getUint32(p);
+    const type = String.fromCharCode(...bytes.subarray(p + 4, p + 8));
+    const data = bytes.subarray(p + 8, p + 8 + len);
+    if (type === "IHDR") {
+      header = {
+        width: view.getUint32(p + 8),
+        height: view.getUint32(p + 12),
+        depth: data[8],
+        colorType: data[9],
+        interlace: data[12],
+      };
+    } else if (type === "PLTE") {
+      palette = data;
+    } else if (type === "IDAT") {
+      idat.push(data);
+    } else if (type === "IEND") {
+      break;
+    }
+    p += 12 + len;
+  }
+  if (!header) throw new Error("PNG without IHDR");
+  const { width, height, depth, colorType, interlace } = header;
+  const channels = PNG_CHANNELS[colorType];
+  if (!channels) throw new Error("Unsupported PNG color type " + colorType);
+  if (colorType === 3 && !palette) throw new Error("Palette PNG without PLTE");
+
+  const passes = interlace ? ADAM7 : [[0, 0, 1, 1]];
+  const layout = passes.map(([x0, y0, dx, dy]) => {
+    const cols = Math.ceil((width - x0) / dx);
+    const rows = Math.ceil((height - y0) / dy);
+    const stride = Math.ceil((cols * channels * depth) / 8);
+    return { x0, y0, dx, dy, cols, rows, stride };
+  });
+  const expected = layout.reduce(
+    (acc, l) => acc + (l.cols && l.rows ? l.rows * (l.stride + 1) : 0),
+    0
+  );
+  const compressed = new Uint8Array(idat.reduce((a, d) => a + d.length, 0));
+  idat.reduce((o, d) => (compressed.set(d, o), o + d.length), 0);
+  const raw = inflateJS(compressed, expected);
+  if (raw.length < expected) throw new Error("Truncated PNG image data");
+
+  const maxSample = (1 << depth) - 1;
+  // Sample i of a row, scaled to 8 bits (palette indices stay indices)
+  const sample = (row, base, i) => {
+    if (depth === 8) return row[base + i];
+    if (depth === 16)
+      return Math.round(
+        ((row[base + 2 * i] << 8) | row[base + 2 * i + 1]) / 257
+      );
+    const bit = i * depth;
+    const v = (row[base + (bit >> 3)] >> (8 - depth - (bit & 7))) & maxSample;
+    return colorType === 3 ? v : Math.round((v * 255) / maxSample);
+  };
+
+  const data = new Uint8ClampedArray(width * height * 4);
+  const bpp = Math.max(1, (channels * depth) >> 3);
+  let offset = 0;
+  for (const l of layout) {
+    if (!l.cols || !l.rows) continue;
+    const rows = unfilter(raw, offset, l.rows, l.stride, bpp);
+    offset += l.rows * (l.stride + 1);
+    for (let y = 0; y < l.rows; y++) {
+      const base = y * l.stride;
+      for (let x = 0; x < l.cols; x++) {
+        const o = 4 * ((l.y0 + y * l.dy) * width + l.x0 + x * l.dx);
+        const s = (c) => sample(rows, base, x * channels + c);
+        if (colorType === 3) {
+          const idx = 3 * s(0);
+          data[o] = palette[idx];
+          data[o + 1] = palette[idx + 1];
+          data[o + 2] = palette[idx + 2];
+          data[o + 3] = 255;
+        } else if (channels <= 2) {
+          data[o] = data[o + 1] = data[o + 2] = s(0);
+          data[o + 3] = channels === 2 ? s(1) : 255;
+        } else {
+          data[o] = s(0);
+          data[o + 1] = s(1);
+          data[o + 2] = s(2);
+          data[o + 3] = channels === 4 ? s(3) : 255;
+        }
+      }
+    }
+  }
+  return { width, height, data };
+}
+
+// ======= PGM / PPM =======
+
+// Binary (P5, P6) and plain (P2, P3) netpbm gray and color maps, any maxval.
+export function decodePnmJS(bytes) {
+  const magic = String.fromCharCode(bytes[0], bytes[1]);
+  if (!["P2", "P3", "P5", "P6"].includes(magic)) {
+    throw new Error("Not a PGM/PPM file");
+  }
+  const channels = magic === "P3" || magic === "P6" ? 3 : 1;
+  const plain = magic === "P2" || magic === "P3";
+  let p = 2;
+  // Next whitespace-separated number, skipping # comments
+  const nextNumber = () => {
+    for (;;) {
+      while (p < bytes.length && /\s/.test(String.fromCharCode(bytes[p]))) p++;
+      if (bytes[p] !== 35) break;
+      while (p < bytes.length && bytes[p] !== 10 && bytes[p] !== 13) p++;
+    }
+    let v = "";
+    while (p < bytes.length && bytes[p] >= 48 && bytes[p] <= 57) {
+      v += String.fromCharCode(bytes[p++]);
+    }
+    if (!v) throw new Error("Malformed PGM/PPM header");
+    return parseInt(v, 10);
+  };
+  const width = nextNumber();
+  const height = nextNumber();
+  const maxval = nextNumber();
+  p++; // the single whitespace before binary data
+
+  const n = width * height * channels;
+  const wide = maxval > 255;
+  if (!plain && p + n * (wide ? 2 : 1) > bytes.length) {
+    throw new Error("Truncated PGM/PPM data");
+  }
+  const value = (i) =>
+    plain
+      ? nextNumber()
+      : wide
+        ? (bytes[p + 2 * i] << 8) | bytes[p + 2 * i + 1]
+        : bytes[p + i];
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    for (let c = 0; c < channels; c++) {
+      data[4 * i + c] = Math.round((value(i * channels + c) * 255) / maxval);
+    }
+    if (channels === 1) data[4 * i + 1] = data[4 * i + 2] = data[4 * i];
+    data[4 * i + 3] = 255;
+  }
+  return { width, height, data };
+}
+
+// PNG or PGM/PPM, told apart by their magic bytes.
+export function decodeImageJS(bytes) {
+  if (PNG_SIGNATURE.every((v, i) => bytes[i] === v)) return decodePngJS(bytes);
+  if (bytes[0] === 80 && [50, 51, 53, 54].includes(bytes[1])) {
+    return decodePnmJS(bytes);
+  }
+  throw new Error("Unsupported image format (PNG, PGM and PPM are read)");
+}
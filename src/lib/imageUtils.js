@@ -1,28 +1,44 @@
-export function toGrayscaleFloat(imgEl, B, hiddenCanvas) {
+import { createBlockMatrixJS, toBlockMatrixJS } from "./blocks";
+
+// Images are read at their native resolution; extractBlocksJS pads the
+// borders, so nothing is rescaled or cropped here.
+export function toGrayscaleFloat(imgEl, hiddenCanvas) {
+  const { width, height, gray } = toRGBFloat(imgEl, hiddenCanvas);
+  return { width, height, gray };
+}
+
+// Like toGrayscaleFloat, but keeps the three color channels as well.
+export function toRGBFloat(imgEl, hiddenCanvas) {
   const w = imgEl.naturalWidth;
   const h = imgEl.naturalHeight;
   const canvas = hiddenCanvas;
   const ctx = canvas.getContext("2d");
 
-  const Wc = Math.floor(w / B) * B;
-  const Hc = Math.floor(h / B) * B;
+  canvas.width = w;
+  canvas.height = h;
+  ctx.drawImage(imgEl, 0, 0);
 
-  canvas.width = Wc;
-  canvas.height = Hc;
-  ctx.drawImage(imgEl, 0, 0, Wc, Hc);
+  return imageDataToFloatJS(ctx.getImageData(0, 0, w, h));
+}
 
-  const imageData = ctx.getImageData(0, 0, Wc, Hc);
-  const data = imageData.data;
-  const gray = new Float32Array(Wc * Hc);
+// The DOM-free half of toRGBFloat: 8-bit RGBA pixels ({ width, height,
+// data } as in ImageData or from imageDecoders.js) to [0, 1] planes.
+// Alpha is ignored.
+export function imageDataToFloatJS({ width, height, data }) {
+  const n = width * height;
+  const r = new Float32Array(n);
+  const g = new Float32Array(n);
+  const b = new Float32Array(n);
+  const gray = new Float32Array(n);
 
-  for (let i = 0; i < Wc * Hc; i++) {
-    const r = data[4 * i] / 255;
-    const g = data[4 * i + 1] / 255;
-    const b = data[4 * i + 2] / 255;
-    gray[i] = 0.299 * r + 0.587 * g + 0.114 * b;
+  for (let i = 0; i < n; i++) {
+    r[i] = data[4 * i] / 255;
+    g[i] = data[4 * i + 1] / 255;
+    b[i] = data[4 * i + 2] / 255;
+    gray[i] = 0.299 * r[i] + 0.587 * g[i] + 0.114 * b[i];
   }
 
-  return { width: Wc, height: Hc, gray };
+  return { width, height, gray, rgb: { r, g, b } };
 }
 
 export function drawGrayToCanvas(gray, w, h, canvas) {
@@ -43,44 +59,299 @@ export function drawGrayToCanvas(gray, w, h, canvas) {
   ctx.putImageData(imageData, 0, 0);
 }
 
-export function extractBlocksJS(gray, width, height, B) {
-  const nrows = height / B;
-  const ncols = width / B;
-  const blocks = [];
+export function drawRGBToCanvas({ r, g, b }, w, h, canvas) {
+  if (!canvas) return;
+  canvas.width = w;
+  canvas.height = h;
+  const ctx = canvas.getContext("2d");
+  const imageData = ctx.createImageData(w, h);
+  const data = imageData.data;
+  const to8 = (v) => Math.round(Math.max(0, Math.min(1, v)) * 255);
+  for (let i = 0; i < w * h; i++) {
+    data[4 * i] = to8(r[i]);
+    data[4 * i + 1] = to8(g[i]);
+    data[4 * i + 2] = to8(b[i]);
+    data[4 * i + 3] = 255;
+  }
+  ctx.putImageData(imageData, 0, 0);
+}
+
+// ======= Border padding =======
+
+export const PAD_MODES = ["zero", "edge", "symmetric"];
+
+// Maps an out-of-range coordinate back into [0, n), or -1 for zero padding.
+// "symmetric" mirrors around the edge sample boundary (… 1 0 | 0 1 2 …).
+export function padIndexJS(i, n, padMode) {
+  if (i >= 0 && i < n) return i;
+  if (padMode === "zero") return -1;
+  if (padMode === "edge") return i < 0 ? 0 : n - 1;
+  const period = 2 * n;
+  const j = ((i % period) + period) % period;
+  return j < n ? j : period - 1 - j;
+}
+
+// Blocks cover ceil(width / B) × ceil(height / B); samples past the right and
+// bottom borders are filled according to padMode. `blocks` is a Float32
+// block matrix (blocks.js), one B×B block per row in raster order.
+export function extractBlocksJS(gray, width, height, B, padMode = "edge") {
+  const nrows = Math.ceil(height / B);
+  const ncols = Math.ceil(width / B);
   const d = B * B;
+  const blocks = createBlockMatrixJS(nrows * ncols, d, Float32Array);
+  const out = blocks.data;
+  let idx = 0;
   for (let by = 0; by < nrows; by++) {
     for (let bx = 0; bx < ncols; bx++) {
-      const block = new Array(d);
-      let idx = 0;
       for (let y = 0; y < B; y++) {
+        const gy = padIndexJS(by * B + y, height, padMode);
         for (let x = 0; x < B; x++) {
-          const gx = bx * B + x;
-          const gy = by * B + y;
-          block[idx++] = gray[gy * width + gx];
+          const gx = padIndexJS(bx * B + x, width, padMode);
+          out[idx++] = gx < 0 || gy < 0 ? 0 : gray[gy * width + gx];
         }
       }
-      blocks.push(block);
     }
   }
-  return { blocks, shape: { nrows, ncols, B } };
+  return { blocks, shape: { nrows, ncols, B, padMode } };
 }
 
+// Writes the blocks back and crops the padding, so the result always has
+// the native width × height.
 export function reconstructFromBlocksJS(blocks, shape, width, height) {
   const { nrows, ncols, B } = shape;
+  const { data, stride } = toBlockMatrixJS(blocks);
   const gray = new Float32Array(width * height);
   let bi = 0;
   for (let by = 0; by < nrows; by++) {
     for (let bx = 0; bx < ncols; bx++) {
-      const block = blocks[bi++];
-      let idx = 0;
+      let idx = bi++ * stride;
       for (let y = 0; y < B; y++) {
-        for (let x = 0; x < B; x++) {
+        const gy = by * B + y;
+        for (let x = 0; x < B; x++, idx++) {
           const gx = bx * B + x;
-          const gy = by * B + y;
-          gray[gy * width + gx] = block[idx++];
+          if (gx < width && gy < height) gray[gy * width + gx] = data[idx];
         }
       }
     }
   }
   return gray;
 }
+
+// ======= Error maps =======
+
+// Blue → white → red for t in [-1, 1]
+export function divergingColorJS(t) {
+  const v = Math.max(-1, Math.min(1, t));
+  const fade = Math.round(255 * (1 - Math.abs(v)));
+  return v < 0 ? [fade, fade, 255] : [255, fade, fade];
+}
+
+// White → orange → dark red for t in [0, 1]
+export function heatColorJS(t) {
+  const v = Math.max(0, Math.min(1, t));
+  if (v < 0.5) {
+    const s = v / 0.5;
+    return [255, Math.round(255 - 90 * s), Math.round(255 - 255 * s)];
+  }
+  const s = (v - 0.5) / 0.5;
+  return [Math.round(255 - 127 * s), Math.round(165 - 165 * s), 0];
+}
+
+// Signed values on a symmetric scale [-maxAbs, maxAbs]
+export function drawDivergingToCanvas(values, w, h, canvas, maxAbs) {
+  if (!canvas) return;
+  canvas.width = w;
+  canvas.height = h;
+  const ctx = canvas.getContext("2d");
+  const imageData = ctx.createImageData(w, h);
+  const data = imageData.data;
+  const scale = maxAbs > 0 ? 1 / maxAbs : 0;
+  for (let i = 0; i < w * h; i++) {
+    const [r, g, b] = divergingColorJS(values[i] * scale);
+    data[4 * i] = r;
+    data[4 * i + 1] = g;
+    data[4 * i + 2] = b;
+    data[4 * i + 3] = 255;
+  }
+  ctx.putImageData(imageData, 0, 0);
+}
+
+// One value per block (nrows × ncols), painted over the B×B pixels it
+// covers and cropped to the image size.
+export function drawBlockMapToCanvas(values, shape, w, h, canvas, maxVal) {
+  if (!canvas) return;
+  const { ncols, B } = shape;
+  canvas.width = w;
+  canvas.height = h;
+  const ctx = canvas.getContext("2d");
+  const imageData = ctx.createImageData(w, h);
+  const data = imageData.data;
+  const scale = maxVal > 0 ? 1 / maxVal : 0;
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const bi = Math.floor(y / B) * ncols + Math.floor(x / B);
+      const [r, g, b] = heatColorJS(values[bi] * scale);
+      const i = y * w + x;
+      data[4 * i] = r;
+      data[4 * i + 1] = g;
+      data[4 * i + 2] = b;
+      data[4 * i + 3] = 255;
+    }
+  }
+  ctx.putImageData(imageData, 0, 0);
+}
+
+// One category per block (e.g. the chosen transform), painted in
+// colors[category] (hex strings).
+export function drawModeMapToCanvas(modes, shape, w, h, canvas, colors) {
+  if (!canvas) return;
+  const { ncols, B } = shape;
+  const rgb = colors.map((c) =>
+    [1, 3, 5].map((o) => parseInt(c.slice(o, o + 2), 16))
+  );
+  canvas.width = w;
+  canvas.height = h;
+  const ctx = canvas.getContext("2d");
+  const imageData = ctx.createImageData(w, h);
+  const data = imageData.data;
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const bi = Math.floor(y / B) * ncols + Math.floor(x / B);
+      const [r, g, b] = rgb[modes[bi]];
+      const i = y * w + x;
+      data[4 * i] = r;
+      data[4 * i + 1] = g;
+      data[4 * i + 2] = b;
+      data[4 * i + 3] = 255;
+    }
+  }
+  ctx.putImageData(imageData, 0, 0);
+}
+
+export function drawBlockGridOverlay(
+  canvas,
+  B,
+  color = "rgba(15, 23, 42, 0.35)"
+) {
+  if (!canvas) return;
+  const ctx = canvas.getContext("2d");
+  ctx.save();
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  for (let x = B; x < canvas.width; x += B) {
+    ctx.moveTo(x + 0.5, 0);
+    ctx.lineTo(x + 0.5, canvas.height);
+  }
+  for (let y = B; y < canvas.height; y += B) {
+    ctx.moveTo(0, y + 0.5);
+    ctx.lineTo(canvas.width, y + 0.5);
+  }
+  ctx.stroke();
+  ctx.restore();
+}
+
+// Outline of block (bx, by), thick enough to survive the preview's
+// downscaling.
+export function drawBlockSelectionOverlay(
+  canvas,
+  B,
+  bx,
+  by,
+  color = "#38bdf8"
+) {
+  if (!canvas) return;
+  const ctx = canvas.getContext("2d");
+  const lw = Math.max(1, Math.round(canvas.width / 256));
+  ctx.save();
+  ctx.strokeStyle = color;
+  ctx.lineWidth = lw;
+  ctx.strokeRect(bx * B - lw / 2, by * B - lw / 2, B + lw, B + lw);
+  ctx.restore();
+}
+
+// ======= Basis mosaics =======
+
+// Height in pixels of the caption strip under each captioned tile
+export const BASIS_CAPTION_HEIGHT = 12;
+
+// Layout of a basis mosaic: count B×B tiles, B per row, each `scale` pixels
+// per sample, with an optional caption strip under every tile.
+export function basisMosaicLayoutJS(count, B, scale, captionHeight = 0) {
+  const gap = 2;
+  const cols = Math.min(count, B);
+  const rows = Math.ceil(count / B);
+  const tileW = B * scale + gap;
+  const tileH = B * scale + captionHeight + gap;
+  return {
+    gap,
+    cols,
+    rows,
+    tileW,
+    tileH,
+    width: cols * tileW + gap,
+    height: rows * tileH + gap,
+    // tile index under canvas pixel (x, y), or -1 between tiles
+    tileAt(x, y) {
+      const c = Math.floor((x - gap) / tileW);
+      const r = Math.floor((y - gap) / tileH);
+      if (c < 0 || c >= cols || r < 0 || r >= rows) return -1;
+      const j = r * B + c;
+      return j < count ? j : -1;
+    },
+  };
+}
+
+// basis: count × B² basis images, flattened. Every tile is scaled on its
+// own, symmetric around zero (mid gray); captions[j] is drawn under tile j.
+export function drawBasisMosaicToCanvas(
+  basis,
+  count,
+  B,
+  canvas,
+  { scale = 1, captions = null } = {}
+) {
+  if (!canvas) return null;
+  const captionHeight = captions ? BASIS_CAPTION_HEIGHT : 0;
+  const layout = basisMosaicLayoutJS(count, B, scale, captionHeight);
+  const { width, height, gap, tileW, tileH } = layout;
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+  const imageData = ctx.createImageData(width, height);
+  const data = imageData.data;
+  for (let i = 0; i < width * height; i++) data[4 * i + 3] = 255;
+  const d = B * B;
+  for (let j = 0; j < count; j++) {
+    const off = j * d;
+    let maxAbs = 1e-12;
+    for (let p = 0; p < d; p++)
+      maxAbs = Math.max(maxAbs, Math.abs(basis[off + p]));
+    const x0 = gap + (j % B) * tileW;
+    const y0 = gap + Math.floor(j / B) * tileH;
+    for (let y = 0; y < B * scale; y++) {
+      for (let x = 0; x < B * scale; x++) {
+        const v =
+          basis[off + Math.floor(y / scale) * B + Math.floor(x / scale)];
+        const c = Math.round((0.5 + (0.5 * v) / maxAbs) * 255);
+        const i = (y0 + y) * width + x0 + x;
+        data[4 * i] = c;
+        data[4 * i + 1] = c;
+        data[4 * i + 2] = c;
+      }
+    }
+  }
+  ctx.putImageData(imageData, 0, 0);
+  if (captions) {
+    ctx.fillStyle = "#e5e7eb";
+    ctx.font = "10px sans-serif";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "top";
+    for (let j = 0; j < count; j++) {
+      const x0 = gap + (j % B) * tileW;
+      const y0 = gap + Math.floor(j / B) * tileH + B * scale + 1;
+      ctx.fillText(captions[j], x0 + (B * scale) / 2, y0, B * scale);
+    }
+  }
+  return layout;
+}
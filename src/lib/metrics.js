@@ -0,0 +1,304 @@
+// src/lib/metrics.js
+import { psnrJS } from "./transforms";
+
+// ======= Pixel error metrics =======
+// All images are Float32Array grayscale in [0, 1], row-major width × height.
+
+export function mseJS(x, x_hat) {
+  let acc = 0;
+  for (let i = 0; i < x.length; i++) {
+    const diff = x[i] - x_hat[i];
+    acc += diff * diff;
+  }
+  return acc / x.length;
+}
+
+export function maeJS(x, x_hat) {
+  let acc = 0;
+  for (let i = 0; i < x.length; i++) acc += Math.abs(x[i] - x_hat[i]);
+  return acc / x.length;
+}
+
+export function maxAbsErrorJS(x, x_hat) {
+  let m = 0;
+  for (let i = 0; i < x.length; i++) {
+    m = Math.max(m, Math.abs(x[i] - x_hat[i]));
+  }
+  return m;
+}
+
+// ======= Structural similarity =======
+
+const SSIM_K1 = 0.01;
+const SSIM_K2 = 0.03;
+const SSIM_WINDOW = 11;
+const SSIM_SIGMA = 1.5;
+const MS_SSIM_WEIGHTS = [0.0448, 0.2856, 0.3001, 0.2363, 0.1333];
+
+function gaussianKernel(size, sigma) {
+  const half = (size - 1) / 2;
+  const k = new Float64Array(size);
+  let sum = 0;
+  for (let i = 0; i < size; i++) {
+    k[i] = Math.exp(-((i - half) ** 2) / (2 * sigma * sigma));
+    sum += k[i];
+  }
+  for (let i = 0; i < size; i++) k[i] /= sum;
+  return k;
+}
+
+// Separable Gaussian blur with edge-replicated borders
+function blur(src, width, height, kernel) {
+  const half = (kernel.length - 1) / 2;
+  const tmp = new Float64Array(width * height);
+  const out = new Float64Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let acc = 0;
+      for (let t = 0; t < kernel.length; t++) {
+        const xx = Math.min(width - 1, Math.max(0, x + t - half));
+        acc += kernel[t] * src[y * width + xx];
+      }
+      tmp[y * width + x] = acc;
+    }
+  }
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let acc = 0;
+      for (let t = 0; t < kernel.length; t++) {
+        const yy = Math.min(height - 1, Math.max(0, y + t - half));
+        acc += kernel[t] * tmp[yy * width + x];
+      }
+      out[y * width + x] = acc;
+    }
+  }
+  return out;
+}
+
+// Local statistics over a Gaussian window. Returns the mean SSIM map plus
+// the mean contrast-structure term that MS-SSIM uses on the finer scales.
+function ssimComponents(x, y, width, height, maxVal) {
+  const n = width * height;
+  const kernel = gaussianKernel(SSIM_WINDOW, SSIM_SIGMA);
+  const xx = new Float64Array(n);
+  const yy = new Float64Array(n);
+  const xy = new Float64Array(n);
+  for (let i = 0; i < n; i++) {
+    xx[i] = x[i] * x[i];
+    yy[i] = y[i] * y[i];
+    xy[i] = x[i] * y[i];
+  }
+  const muX = blur(x, width, height, kernel);
+  const muY = blur(y, width, height, kernel);
+  const sXX = blur(xx, width, height, kernel);
+  const sYY = blur(yy, width, height, kernel);
+  const sXY = blur(xy, width, height, kernel);
+
+  const C1 = (SSIM_K1 * maxVal) ** 2;
+  const C2 = (SSIM_K2 * maxVal) ** 2;
+  let ssim = 0;
+  let cs = 0;
+  for (let i = 0; i < n; i++) {
+    const vx = sXX[i] - muX[i] * muX[i];
+    const vy = sYY[i] - muY[i] * muY[i];
+    const cov = sXY[i] - muX[i] * muY[i];
+    const l = (2 * muX[i] * muY[i] + C1) / (muX[i] ** 2 + muY[i] ** 2 + C1);
+    const c = (2 * cov + C2) / (vx + vy + C2);
+    ssim += l * c;
+    cs += c;
+  }
+  return { ssim: ssim / n, cs: cs / n };
+}
+
+export function ssimJS(x, y, width, height, maxVal = 1.0) {
+  return ssimComponents(x, y, width, height, maxVal).ssim;
+}
+
+function halve(src, width, height) {
+  const w = Math.floor(width / 2);
+  const h = Math.floor(height / 2);
+  const out = new Float64Array(w * h);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const i = 2 * y * width + 2 * x;
+      out[y * w + x] =
+        (src[i] + src[i + 1] + src[i + width] + src[i + width + 1]) / 4;
+    }
+  }
+  return { data: out, width: w, height: h };
+}
+
+// Multi-scale SSIM (Wang et al. 2003). Small images use as many of the five
+// scales as still fit an 11×11 window, with the weights renormalized. The
+// coarsest scale contributes its full SSIM (the mean of the l·cs map).
+export function msssimJS(x, y, width, height, maxVal = 1.0) {
+  let scales = 1;
+  while (
+    scales < MS_SSIM_WEIGHTS.length &&
+    Math.min(width, height) / 2 ** scales >= SSIM_WINDOW
+  ) {
+    scales++;
+  }
+  const weights = MS_SSIM_WEIGHTS.slice(0, scales);
+  const wSum = weights.reduce((a, b) => a + b, 0);
+
+  let a = { data: x, width, height };
+  let b = { data: y, width, height };
+  let result = 1;
+  for (let s = 0; s < scales; s++) {
+    const { ssim, cs } = ssimComponents(
+      a.data,
+      b.data,
+      a.width,
+      a.height,
+      maxVal
+    );
+    const w = weights[s] / wSum;
+    if (s === scales - 1) {
+      result *= Math.max(ssim, 0) ** w;
+    } else {
+      result *= Math.max(cs, 0) ** w;
+      a = halve(a.data, a.width, a.height);
+      b = halve(b.data, b.width, b.height);
+    }
+  }
+  return result;
+}
+
+// ======= Blocking artifacts =======
+
+// Mean jump of the error image across block boundaries minus the mean jump
+// between neighbors inside blocks. Zero when the error is as smooth across
+// block edges as within blocks; grows with visible blocking.
+export function blockinessJS(x, x_hat, width, height, B) {
+  let edgeSum = 0;
+  let edgeCount = 0;
+  let innerSum = 0;
+  let innerCount = 0;
+  const err = (i) => x_hat[i] - x[i];
+  for (let y = 0; y < height; y++) {
+    for (let px = 1; px < width; px++) {
+      const i = y * width + px;
+      const jump = Math.abs(err(i) - err(i - 1));
+      if (px % B === 0) {
+        edgeSum += jump;
+        edgeCount++;
+      } else {
+        innerSum += jump;
+        innerCount++;
+      }
+    }
+  }
+  for (let y = 1; y < height; y++) {
+    for (let px = 0; px < width; px++) {
+      const i = y * width + px;
+      const jump = Math.abs(err(i) - err(i - width));
+      if (y % B === 0) {
+        edgeSum += jump;
+        edgeCount++;
+      } else {
+        innerSum += jump;
+        innerCount++;
+      }
+    }
+  }
+  const edge = edgeCount ? edgeSum / edgeCount : 0;
+  const inner = innerCount ? innerSum / innerCount : 0;
+  return edge - inner;
+}
+
+// ======= Error maps =======
+
+// Signed reconstruction error x_hat − x
+export function differenceImageJS(x, x_hat) {
+  const out = new Float32Array(x.length);
+  for (let i = 0; i < x.length; i++) out[i] = x_hat[i] - x[i];
+  return out;
+}
+
+// MSE of each B×B block (partial border blocks average what they cover),
+// in block raster order like extractBlocksJS.
+export function blockMseMapJS(x, x_hat, width, height, B) {
+  const nrows = Math.ceil(height / B);
+  const ncols = Math.ceil(width / B);
+  const sums = new Float64Array(nrows * ncols);
+  const counts = new Float64Array(nrows * ncols);
+  for (let y = 0; y < height; y++) {
+    for (let px = 0; px < width; px++) {
+      const bi = Math.floor(y / B) * ncols + Math.floor(px / B);
+      const diff = x_hat[y * width + px] - x[y * width + px];
+      sums[bi] += diff * diff;
+      counts[bi]++;
+    }
+  }
+  const out = new Float32Array(nrows * ncols);
+  for (let i = 0; i < out.length; i++) out[i] = sums[i] / counts[i];
+  return { values: out, shape: { nrows, ncols, B } };
+}
+
+// ======= Registry =======
+
+// Display-ready metrics: error magnitudes are reported in 8-bit gray levels.
+export const METRICS = [
+  {
+    key: "psnr",
+    label: "PSNR (dB)",
+    higherIsBetter: true,
+    compute: (x, y) => psnrJS(x, y),
+  },
+  {
+    key: "ssim",
+    label: "SSIM",
+    higherIsBetter: true,
+    compute: (x, y, w, h) => ssimJS(x, y, w, h),
+  },
+  {
+    key: "msssim",
+    label: "MS-SSIM",
+    higherIsBetter: true,
+    compute: (x, y, w, h) => msssimJS(x, y, w, h),
+  },
+  {
+    key: "mse",
+    label: "MSE (8-bit²)",
+    higherIsBetter: false,
+    compute: (x, y) => mseJS(x, y) * 255 * 255,
+  },
+  {
+    key: "mae",
+    label: "MAE (8-bit)",
+    higherIsBetter: false,
+    compute: (x, y) => maeJS(x, y) * 255,
+  },
+  {
+    key: "maxerr",
+    label: "Max |error| (8-bit)",
+    higherIsBetter: false,
+    compute: (x, y) => maxAbsErrorJS(x, y) * 255,
+  },
+  {
+    key: "blockiness",
+    label: "Blockiness (8-bit)",
+    higherIsBetter: false,
+    compute: (x, y, w, h, B) => blockinessJS(x, y, w, h, B) * 255,
+  },
+];
+
+export const METRIC_KEYS = METRICS.map((m) => m.key);
+
+export function evaluateMetricsJS(
+  x,
+  x_hat,
+  width,
+  height,
+  B,
+  keys = METRIC_KEYS
+) {
+  const out = {};
+  for (const m of METRICS) {
+    if (keys.includes(m.key)) {
+      out[m.key] = m.compute(x, x_hat, width, height, B);
+    }
+  }
+  return out;
+}
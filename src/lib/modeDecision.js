@@ -0,0 +1,186 @@
+// src/lib/modeDecision.js
+// Hybrid coding: every block picks its transform from a few candidates by
+// minimising the Lagrangian cost J = D + λ·R, as in a real codec's mode
+// decision. The chosen mode of each block is coded as side information.
+import {
+  psnrJS,
+  inverseTransformBlocksJS,
+  quantizeOperatingPointJS,
+  zonalScanJS,
+  pcaSideInfoBitsJS,
+} from "./transforms";
+import { dequantizeCoeffsJS } from "./quantization";
+import {
+  createAdaptiveModel,
+  createArithmeticEncoder,
+  entropyEncodeLevelsJS,
+  blockBitsEstimateJS,
+  identityScanJS,
+} from "./entropy";
+import { createBlockMatrixJS, blockRowJS } from "./blocks";
+import { reconstructFromBlocksJS } from "./imageUtils";
+import { evaluateMetricsJS } from "./metrics";
+
+// Transforms the hybrid chooses from (those available at the block size)
+export const HYBRID_CANDIDATE_IDS = ["dct", "hadamard", "pca"];
+
+export const HYBRID_TRANSFORM = {
+  id: "hybrid",
+  label: "Hybrid (per block)",
+  name: "Hybrid",
+  color: "#e5e7eb",
+};
+
+// λ is given in squared 8-bit gray levels per bit, so it does not depend on
+// the [0, 1] pixel scale used internally.
+const LAMBDA_SCALE = 1 / (255 * 255);
+
+// candidates: methods from buildMethodsJS with their `coeffs` computed; a
+// candidate's own `allocation` (its zonal mask) overrides the shared one.
+// Returns the reconstructed blocks, the mode of every block and the coded
+// size: mode map and levels (each block's levels in its own scan order)
+// through the arithmetic coder, plus the PCA basis when a block uses it and
+// it is charged side information, and the zonal mask (maskBits) of every
+// candidate some block uses.
+export function hybridOperatingPointJS(
+  blocks,
+  candidates,
+  k,
+  { quant = null, lambda = 0, allocation = "block" } = {}
+) {
+  const numBlocks = blocks.rows;
+  const d = blocks.cols;
+  const coded = candidates.map((c) => {
+    const selection = c.allocation || allocation;
+    const { levels, steps } = quantizeOperatingPointJS(
+      c.coeffs,
+      k,
+      quant ? { table: c.table, quantizer: quant.quantizer } : null,
+      selection
+    );
+    const rec = inverseTransformBlocksJS(
+      dequantizeCoeffsJS(levels, steps),
+      c.T,
+      c.mean
+    );
+    const scan = quant ? c.scan : zonalScanJS(c.scan, k, selection);
+    const bits = blockBitsEstimateJS(levels, scan);
+    return { levels, rec, bits, scan };
+  });
+
+  const modes = new Uint8Array(numBlocks);
+  const lam = lambda * LAMBDA_SCALE;
+  for (let i = 0; i < numBlocks; i++) {
+    const x = blockRowJS(blocks, i);
+    let best = Infinity;
+    coded.forEach(({ rec, bits }, c) => {
+      const y = blockRowJS(rec, i);
+      let sse = 0;
+      for (let j = 0; j < d; j++) sse += (x[j] - y[j]) ** 2;
+      const cost = sse + lam * bits[i];
+      if (cost < best) {
+        best = cost;
+        modes[i] = c;
+      }
+    });
+  }
+
+  // Assemble the chosen blocks; levels are stored already in scan order
+  const width = Math.max(...coded.map((c) => c.levels.cols));
+  const scanned = createBlockMatrixJS(numBlocks, width, Int32Array);
+  const recBlocks = createBlockMatrixJS(numBlocks, d);
+  const counts = new Array(candidates.length).fill(0);
+  let nonzero = 0;
+  for (let i = 0; i < numBlocks; i++) {
+    const c = modes[i];
+    counts[c]++;
+    const src = blockRowJS(coded[c].levels, i);
+    const dst = blockRowJS(scanned, i);
+    coded[c].scan.forEach((pos, p) => (dst[p] = src[pos]));
+    for (const l of src) if (l !== 0) nonzero++;
+    recBlocks.data.set(blockRowJS(coded[c].rec, i), i * d);
+  }
+
+  const modeEnc = createArithmeticEncoder();
+  const modeModel = createAdaptiveModel(candidates.length);
+  for (let i = 0; i < numBlocks; i++) modeEnc.encode(modeModel, modes[i]);
+  const modeBits = modeEnc.finish().bits;
+  const levelBits = entropyEncodeLevelsJS(scanned, identityScanJS(width)).bits;
+  const sideBits = candidates.reduce(
+    (acc, c, ci) =>
+      counts[ci] > 0
+        ? acc +
+          (c.sideInfo ? pcaSideInfoBitsJS(c.T, c.sideInfo) : 0) +
+          (c.maskBits || 0)
+        : acc,
+    0
+  );
+
+  return {
+    recBlocks,
+    modes,
+    counts,
+    levels: scanned,
+    bits: modeBits + levelBits + sideBits,
+    modeBits,
+    sideBits,
+    fraction: nonzero / (numBlocks * d),
+  };
+}
+
+// Same result shape as rateDistortionJS, one hybrid operating point per k
+// (or quality factor) at a fixed λ.
+export function hybridRateDistortionJS(
+  imgGray,
+  width,
+  height,
+  blocks,
+  shape,
+  candidates,
+  kValues,
+  {
+    quant = null,
+    lambda = 0,
+    allocation = "block",
+    metrics = [],
+    onProgress = null,
+  } = {}
+) {
+  const rates = [];
+  const psnrs = [];
+  const fractions = [];
+  const metricValues = Object.fromEntries(metrics.map((key) => [key, []]));
+  kValues.forEach((k, ki) => {
+    const op = hybridOperatingPointJS(blocks, candidates, k, {
+      quant,
+      lambda,
+      allocation,
+    });
+    const gray = reconstructHybridJS(op, shape, width, height);
+    rates.push(op.bits / (width * height));
+    psnrs.push(psnrJS(imgGray, gray));
+    fractions.push(op.fraction);
+    if (metrics.length) {
+      const vals = evaluateMetricsJS(
+        imgGray,
+        gray,
+        width,
+        height,
+        shape.B,
+        metrics
+      );
+      for (const key of metrics) metricValues[key].push(vals[key]);
+    }
+    if (onProgress) onProgress(ki);
+  });
+  return { rates, psnrs, fractions, metrics: metricValues };
+}
+
+export function reconstructHybridJS({ recBlocks }, shape, width, height) {
+  const gray = reconstructFromBlocksJS(recBlocks, shape, width, height);
+  for (let i = 0; i < gray.length; i++) {
+    if (gray[i] < 0) gray[i] = 0;
+    if (gray[i] > 1) gray[i] = 1;
+  }
+  return gray;
+}
@@ -0,0 +1,117 @@
+// src/lib/pcaCorpus.js
+// PCA (KLT) fitted on blocks pooled from a set of training images, so it can
+// be applied to held-out images without refitting. Blocks are folded into a
+// running sum and scatter matrix per image, so memory stays at O(d²) however
+// large the corpus is.
+import { numeric } from "./transforms";
+import { extractBlocksJS } from "./imageUtils";
+
+export const PCA_MODEL_FORMAT = "tvc-pca-basis";
+export const PCA_MODEL_VERSION = 1;
+
+// ======= Training =======
+
+export function createPcaAccumulatorJS(B) {
+  const d = B * B;
+  return {
+    B,
+    d,
+    count: 0,
+    numImages: 0,
+    sum: new Float64Array(d),
+    scatter: new Float64Array(d * d), // upper triangle of Σ x xᵀ
+  };
+}
+
+export function accumulateBlocksJS(acc, blocks) {
+  const { d, sum, scatter } = acc;
+  for (let i = 0; i < blocks.rows; i++) {
+    const off = i * blocks.stride;
+    for (let a = 0; a < d; a++) {
+      const xa = blocks.data[off + a];
+      sum[a] += xa;
+      const row = a * d;
+      for (let b = a; b < d; b++) scatter[row + b] += xa * blocks.data[off + b];
+    }
+  }
+  acc.count += blocks.rows;
+  acc.numImages++;
+  return acc;
+}
+
+// Eigenvectors of the pooled covariance, sorted by decreasing variance.
+export function finalizePcaJS(acc) {
+  const { d, count, sum, scatter } = acc;
+  if (count < 2) throw new Error("Need at least two training blocks");
+  const mean = Array.from(sum, (s) => s / count);
+  const C = numeric.rep([d, d], 0);
+  for (let a = 0; a < d; a++) {
+    for (let b = a; b < d; b++) {
+      const c = (scatter[a * d + b] - count * mean[a] * mean[b]) / (count - 1);
+      C[a][b] = c;
+      C[b][a] = c;
+    }
+  }
+  const { U, S } = numeric.svd(C);
+  const order = S.map((s, i) => i).sort((i, j) => S[j] - S[i]);
+  const T = order.map((i) => U.map((row) => row[i]));
+  return { T, mean, variances: order.map((i) => S[i]) };
+}
+
+// images: [{ width, height, gray }]
+export function trainCorpusPcaJS(
+  images,
+  B,
+  padMode = "edge",
+  onProgress = () => {}
+) {
+  if (!images.length) throw new Error("No training images");
+  const acc = createPcaAccumulatorJS(B);
+  images.forEach(({ width, height, gray }, i) => {
+    const { blocks } = extractBlocksJS(gray, width, height, B, padMode);
+    accumulateBlocksJS(acc, blocks);
+    onProgress({
+      message: `Accumulated image ${i + 1}/${images.length}`,
+      fraction: (i + 1) / (images.length + 1),
+    });
+  });
+  const { T, mean, variances } = finalizePcaJS(acc);
+  onProgress({ message: "Eigendecomposition", fraction: 1 });
+  return {
+    format: PCA_MODEL_FORMAT,
+    version: PCA_MODEL_VERSION,
+    B,
+    padMode,
+    numImages: acc.numImages,
+    numBlocks: acc.count,
+    mean,
+    variances,
+    T,
+  };
+}
+
+// ======= JSON =======
+
+export function serializePcaModelJS(model) {
+  return JSON.stringify(model);
+}
+
+export function parsePcaModelJS(text) {
+  const model = JSON.parse(text);
+  if (model.format !== PCA_MODEL_FORMAT) {
+    throw new Error("Not a PCA basis file");
+  }
+  if (model.version !== PCA_MODEL_VERSION) {
+    throw new Error("Unsupported PCA basis version " + model.version);
+  }
+  const d = model.B * model.B;
+  const ok =
+    Array.isArray(model.mean) &&
+    model.mean.length === d &&
+    Array.isArray(model.T) &&
+    model.T.length > 0 &&
+    model.T.length <= d &&
+    model.T.every((row) => Array.isArray(row) && row.length === d);
+  if (!ok) throw new Error("PCA basis does not match B = " + model.B);
+  return model;
+}
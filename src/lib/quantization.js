@@ -0,0 +1,198 @@
+// src/lib/quantization.js
+import { hadamardMatrixJS } from "./transforms";
+import { createBlockMatrixJS, blockRowJS, toBlockMatrixJS } from "./blocks";
+
+// ======= Quantization tables =======
+
+// Standard JPEG luminance table (ITU-T T.81, Annex K), in 0..255 pixel units.
+export const JPEG_LUMA_TABLE = [
+  16, 11, 10, 16, 24, 40, 51, 61,
+  12, 12, 14, 19, 26, 58, 60, 55,
+  14, 13, 16, 24, 40, 57, 69, 56,
+  14, 17, 22, 29, 51, 87, 80, 62,
+  18, 22, 37, 56, 68, 109, 103, 77,
+  24, 35, 55, 64, 81, 104, 113, 92,
+  49, 64, 78, 87, 103, 121, 120, 101,
+  72, 92, 95, 98, 112, 100, 103, 99,
+];
+
+// Standard JPEG chrominance table (ITU-T T.81, Annex K).
+export const JPEG_CHROMA_TABLE = [
+  17, 18, 24, 47, 99, 99, 99, 99,
+  18, 21, 26, 66, 99, 99, 99, 99,
+  24, 26, 56, 99, 99, 99, 99, 99,
+  47, 66, 99, 99, 99, 99, 99, 99,
+  99, 99, 99, 99, 99, 99, 99, 99,
+  99, 99, 99, 99, 99, 99, 99, 99,
+  99, 99, 99, 99, 99, 99, 99, 99,
+  99, 99, 99, 99, 99, 99, 99, 99,
+];
+
+// Rounding offset of the deadzone quantizer. 0.5 would be plain rounding;
+// smaller values widen the zero bin (1/3 is the usual intra choice).
+export const DEADZONE_ROUNDING = 1 / 3;
+
+// Step used to code the coefficients kept by the top-k selections (8-bit
+// precision).
+export const TOPK_STEP = 1 / 255;
+
+// Bilinear lookup into an 8×8 JPEG table at fractional frequency (fu, fv).
+function jpegTableAt(base, fu, fv) {
+  const u0 = Math.min(7, Math.floor(fu));
+  const v0 = Math.min(7, Math.floor(fv));
+  const u1 = Math.min(7, u0 + 1);
+  const v1 = Math.min(7, v0 + 1);
+  const du = Math.min(1, fu - u0);
+  const dv = Math.min(1, fv - v0);
+  const q = (u, v) => base[u * 8 + v];
+  return (
+    (1 - du) * (1 - dv) * q(u0, v0) +
+    (1 - du) * dv * q(u0, v1) +
+    du * (1 - dv) * q(u1, v0) +
+    du * dv * q(u1, v1)
+  );
+}
+
+// B×B DCT table (flattened, index u*B + v): the JPEG table resampled so that
+// frequency u of a B-point DCT maps onto frequency u*8/B of the 8-point one.
+// Pass JPEG_CHROMA_TABLE as `base` for chroma planes.
+export function dctQuantTableJS(B, base = JPEG_LUMA_TABLE) {
+  const table = new Array(B * B);
+  for (let u = 0; u < B; u++) {
+    for (let v = 0; v < B; v++) {
+      table[u * B + v] = jpegTableAt(base, (u * 8) / B, (v * 8) / B);
+    }
+  }
+  return table;
+}
+
+// Number of sign changes along each row of a 1D transform matrix.
+export function sequencyOfRowsJS(T1d) {
+  return T1d.map((row) => {
+    let changes = 0;
+    for (let j = 1; j < row.length; j++) {
+      if (Math.sign(row[j]) !== Math.sign(row[j - 1])) changes++;
+    }
+    return changes;
+  });
+}
+
+// Position of each row of a 1D basis when sorted from lowest to highest
+// frequency: sign changes (skipping exact zeros), ties kept in row order.
+// Always a permutation of 0..N-1, even for Haar where whole groups of rows
+// share one sign change.
+export function frequencyRankOfRowsJS(T1d) {
+  const changes = T1d.map((row) => {
+    let count = 0;
+    let prev = 0;
+    for (const v of row) {
+      const sg = Math.abs(v) < 1e-12 ? 0 : Math.sign(v);
+      if (sg === 0) continue;
+      if (prev !== 0 && sg !== prev) count++;
+      prev = sg;
+    }
+    return count;
+  });
+  const order = changes
+    .map((c, row) => ({ c, row }))
+    .sort((a, b) => a.c - b.c || a.row - b.row);
+  const rank = new Array(T1d.length);
+  order.forEach(({ row }, r) => (rank[row] = r));
+  return rank;
+}
+
+// Any separable basis: row u borrows the DCT step of the row with the same
+// frequency rank.
+export function rankedQuantTableJS(T1d, base = JPEG_LUMA_TABLE) {
+  const B = T1d.length;
+  const dctTable = dctQuantTableJS(B, base);
+  const rank = frequencyRankOfRowsJS(T1d);
+  const table = new Array(B * B);
+  for (let u = 0; u < B; u++) {
+    for (let v = 0; v < B; v++) {
+      table[u * B + v] = dctTable[rank[u] * B + rank[v]];
+    }
+  }
+  return table;
+}
+
+// Natural-order Hadamard rows are not sorted by frequency, so each row
+// borrows the DCT step of the row with the same sequency.
+export function hadamardQuantTableJS(B, base = JPEG_LUMA_TABLE) {
+  return rankedQuantTableJS(hadamardMatrixJS(B), base);
+}
+
+// PCA components come out sorted by decreasing variance, so the steps are
+// the DCT table entries sorted from finest to coarsest.
+export function pcaQuantTableJS(B, base = JPEG_LUMA_TABLE) {
+  return dctQuantTableJS(B, base).sort((a, b) => a - b);
+}
+
+// IJG quality scaling (1..100) of a base table, returned in the [0, 1] pixel
+// units used by toGrayscaleFloat.
+export function qualityScaledTableJS(baseTable, quality) {
+  const q = Math.max(1, Math.min(100, quality));
+  const scale = q < 50 ? 5000 / q : 200 - 2 * q;
+  return baseTable.map(
+    (t) => Math.max(1, Math.floor((t * scale + 50) / 100)) / 255
+  );
+}
+
+// ======= Quantize / dequantize =======
+
+export function quantizeCoeffsJS(
+  coeffs,
+  steps,
+  quantizer = "uniform",
+  rounding = DEADZONE_ROUNDING
+) {
+  const C = toBlockMatrixJS(coeffs);
+  const numBlocks = C.rows;
+  const m = C.cols;
+  const offset = quantizer === "deadzone" ? rounding : 0.5;
+  const levels = createBlockMatrixJS(numBlocks, m, Int32Array);
+  for (let i = 0; i < numBlocks; i++) {
+    const inOff = i * C.stride;
+    const out = i * m;
+    for (let j = 0; j < m; j++) {
+      const v = C.data[inOff + j];
+      const a = Math.floor(Math.abs(v) / steps[j] + offset);
+      levels.data[out + j] = v < 0 ? -a : a;
+    }
+  }
+  return levels;
+}
+
+export function dequantizeCoeffsJS(levels, steps) {
+  const L = toBlockMatrixJS(levels, Int32Array);
+  const m = L.cols;
+  const coeffs = createBlockMatrixJS(L.rows, m);
+  for (let i = 0; i < L.rows; i++) {
+    const inOff = i * L.stride;
+    const out = i * m;
+    for (let j = 0; j < m; j++) {
+      coeffs.data[out + j] = L.data[inOff + j] * steps[j];
+    }
+  }
+  return coeffs;
+}
+
+// Fraction of coefficients that survive quantization (the analogue of k / d).
+export function nonzeroFractionJS(levels) {
+  const L = toBlockMatrixJS(levels, Int32Array);
+  let nz = 0;
+  for (let i = 0; i < L.rows; i++) {
+    for (const l of blockRowJS(L, i)) if (l !== 0) nz++;
+  }
+  return nz / (L.rows * L.cols);
+}
+
+// Nonzero levels of every block
+export function nonzeroCountsPerBlockJS(levels) {
+  const L = toBlockMatrixJS(levels, Int32Array);
+  const counts = new Int32Array(L.rows);
+  for (let i = 0; i < L.rows; i++) {
+    for (const l of blockRowJS(L, i)) if (l !== 0) counts[i]++;
+  }
+  return counts;
+}
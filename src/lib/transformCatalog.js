@@ -0,0 +1,145 @@
+// src/lib/transformCatalog.js
+// Fixed (data-independent) block transforms shared by the analysis, the
+// sweep and the codec. PCA is fitted per image and handled separately.
+import {
+  dctMatrixJS,
+  hadamardMatrixJS,
+  walshMatrixJS,
+  haarMatrixJS,
+  slantMatrixJS,
+  dstMatrixJS,
+} from "./transforms";
+import {
+  dctTransformJS,
+  hadamardTransformJS,
+  separableFromMatrixJS,
+} from "./fastTransforms";
+import {
+  JPEG_LUMA_TABLE,
+  dctQuantTableJS,
+  hadamardQuantTableJS,
+  rankedQuantTableJS,
+} from "./quantization";
+import {
+  zigzagOrderJS,
+  hadamardScanOrderJS,
+  rankedScanOrderJS,
+} from "./entropy";
+
+// `name` is the short form used in sweep CSVs. powerOfTwo transforms are
+// skipped for other block sizes.
+export const FIXED_TRANSFORMS = [
+  { id: "dct", label: "DCT", name: "DCT", color: "#22c55e" },
+  {
+    id: "hadamard",
+    label: "Hadamard",
+    name: "Hadamard",
+    color: "#3b82f6",
+    powerOfTwo: true,
+  },
+  {
+    id: "walsh",
+    label: "Walsh (sequency)",
+    name: "Walsh",
+    color: "#06b6d4",
+    powerOfTwo: true,
+  },
+  {
+    id: "haar",
+    label: "Haar",
+    name: "Haar",
+    color: "#a855f7",
+    powerOfTwo: true,
+  },
+  {
+    id: "slant",
+    label: "Slant",
+    name: "Slant",
+    color: "#eab308",
+    powerOfTwo: true,
+  },
+  { id: "dst1", label: "DST-I", name: "DST-I", color: "#ec4899" },
+  { id: "dst2", label: "DST-II", name: "DST-II", color: "#ef4444" },
+  { id: "dst7", label: "DST-VII", name: "DST-VII", color: "#84cc16" },
+];
+
+export const PCA_TRANSFORM = {
+  id: "pca",
+  label: "PCA (learned)",
+  name: "PCA",
+  color: "#f97316",
+};
+
+// Every method in display order
+export const ALL_TRANSFORMS = [...FIXED_TRANSFORMS, PCA_TRANSFORM];
+
+// PCA trained on a separate image corpus (pcaCorpus.js); only present when
+// a basis for the current B is loaded. Saved files use the PCA codec ID since
+// the basis travels with the data either way.
+export const CORPUS_PCA_TRANSFORM = {
+  id: "pcaCorpus",
+  label: "PCA (corpus)",
+  name: "PCA-corpus",
+  color: "#14b8a6",
+  codecId: "pca",
+};
+
+const isPowerOfTwo = (n) => n > 0 && (n & (n - 1)) === 0;
+
+function fixedInfo(id) {
+  const info = FIXED_TRANSFORMS.find((t) => t.id === id);
+  if (!info) throw new Error("Unknown transform " + id);
+  return info;
+}
+
+export function isTransformAvailableJS(id, B) {
+  if (id === PCA_TRANSFORM.id) return true;
+  return !fixedInfo(id).powerOfTwo || isPowerOfTwo(B);
+}
+
+// 1D N×N matrix (rows are basis vectors)
+export function fixedTransformMatrixJS(id, B) {
+  switch (id) {
+    case "dct":
+      return dctMatrixJS(B);
+    case "hadamard":
+      return hadamardMatrixJS(B);
+    case "walsh":
+      return walshMatrixJS(B);
+    case "haar":
+      return haarMatrixJS(B);
+    case "slant":
+      return slantMatrixJS(B);
+    case "dst1":
+      return dstMatrixJS(B, 1);
+    case "dst2":
+      return dstMatrixJS(B, 2);
+    case "dst7":
+      return dstMatrixJS(B, 7);
+    default:
+      throw new Error("Unknown transform " + id);
+  }
+}
+
+// Separable block operator: fast paths for DCT and Hadamard, the 1D matrix
+// applied along rows and columns for the rest.
+export function fixedTransformOperatorJS(id, B, T1d = null) {
+  if (id === "dct") return dctTransformJS(B);
+  if (id === "hadamard") return hadamardTransformJS(B);
+  return separableFromMatrixJS(
+    T1d || fixedTransformMatrixJS(id, B),
+    fixedInfo(id).label
+  );
+}
+
+export function fixedQuantTableJS(id, B, base = JPEG_LUMA_TABLE, T1d = null) {
+  if (id === "dct") return dctQuantTableJS(B, base);
+  if (id === "hadamard") return hadamardQuantTableJS(B, base);
+  return rankedQuantTableJS(T1d || fixedTransformMatrixJS(id, B), base);
+}
+
+export function fixedScanOrderJS(id, B, T1d = null) {
+  if (id === "dct") return zigzagOrderJS(B);
+  if (id === "hadamard") return hadamardScanOrderJS(B);
+  return rankedScanOrderJS(T1d || fixedTransformMatrixJS(id, B));
+}
@@ -1,10 +1,11 @@
 // src/lib/transforms.js
 import * as numericModule from "numeric";
 
-// local alias + global (for safety)
-export const numeric = numericModule;
+// local alias + global (for safety). Node hands the CommonJS package over as
+// the default export.
+export const numeric = numericModule.default ?? numericModule;
 if (typeof window !== "undefined") {
-  window.numeric = numericModule;
+  window.numeric = numeric;
 }
 
 // ========= Utility =========
@@ -59,6 +60,108 @@ export function hadamardMatrixJS(N) {
   return H;
 }
 
+// Walsh–Hadamard with rows sorted by sequency (number of sign changes)
+export function walshMatrixJS(N) {
+  const H = hadamardMatrixJS(N);
+  const seq = sequencyOfRowsJS(H);
+  const W = new Array(N);
+  seq.forEach((s, row) => (W[s] = H[row]));
+  return W;
+}
+
+// Orthonormal DST of type I, II or VII. DST-VII is the KLT of a first-order
+// Markov source with a known boundary, which is why HEVC uses it for 4×4
+// intra residuals.
+export function dstMatrixJS(N, type = 2) {
+  const S = numeric.rep([N, N], 0);
+  for (let k = 0; k < N; k++) {
+    for (let n = 0; n < N; n++) {
+      if (type === 1) {
+        S[k][n] =
+          Math.sqrt(2 / (N + 1)) *
+          Math.sin((Math.PI * (k + 1) * (n + 1)) / (N + 1));
+      } else if (type === 2) {
+        const c = k === N - 1 ? Math.sqrt(1 / N) : Math.sqrt(2 / N);
+        S[k][n] = c * Math.sin((Math.PI * (2 * n + 1) * (k + 1)) / (2 * N));
+      } else if (type === 7) {
+        S[k][n] =
+          (2 / Math.sqrt(2 * N + 1)) *
+          Math.sin((Math.PI * (2 * k + 1) * (n + 1)) / (2 * N + 1));
+      } else {
+        throw new Error("Unsupported DST type " + type);
+      }
+    }
+  }
+  return S;
+}
+
+// Orthonormal Haar matrix: the average, then differences of halves at
+// every dyadic scale and position.
+export function haarMatrixJS(N) {
+  if ((N & (N - 1)) !== 0) {
+    throw new Error("N must be power of 2 for Haar");
+  }
+  const Hm = numeric.rep([N, N], 0);
+  for (let n = 0; n < N; n++) Hm[0][n] = 1 / Math.sqrt(N);
+  for (let p = 0; 2 ** p < N; p++) {
+    const width = N / 2 ** p;
+    const v = Math.sqrt(2 ** p / N);
+    for (let q = 0; q < 2 ** p; q++) {
+      const row = 2 ** p + q;
+      for (let n = 0; n < width / 2; n++) {
+        Hm[row][q * width + n] = v;
+        Hm[row][q * width + width / 2 + n] = -v;
+      }
+    }
+  }
+  return Hm;
+}
+
+// Slant transform (Pratt, Chen & Welch 1974), built recursively from
+// S_2 = Hadamard(2): each stage adds a linear ramp (slant) basis vector.
+export function slantMatrixJS(N) {
+  if ((N & (N - 1)) !== 0 || N < 2) {
+    throw new Error("N must be power of 2 for Slant");
+  }
+  if (N === 2) return hadamardMatrixJS(2);
+  const half = N / 2;
+  const S = slantMatrixJS(half);
+  const a = Math.sqrt((3 * N * N) / (4 * (N * N - 1)));
+  const b = Math.sqrt((N * N - 4) / (4 * (N * N - 1)));
+  const M = numeric.rep([N, N], 0);
+  M[0][0] = 1;
+  M[0][half] = 1;
+  M[1][0] = a;
+  M[1][1] = b;
+  M[1][half] = -a;
+  M[1][half + 1] = b;
+  M[half][1] = 1;
+  M[half][half + 1] = -1;
+  M[half + 1][0] = -b;
+  M[half + 1][1] = a;
+  M[half + 1][half] = b;
+  M[half + 1][half + 1] = a;
+  for (let i = 2; i < half; i++) {
+    M[i][i] = 1;
+    M[i][half + i] = 1;
+    M[half + i][i] = 1;
+    M[half + i][half + i] = -1;
+  }
+  const D = numeric.rep([N, N], 0);
+  for (let i = 0; i < half; i++) {
+    for (let j = 0; j < half; j++) {
+      D[i][j] = S[i][j];
+      D[half + i][half + j] = S[i][j];
+    }
+  }
+  const R = numeric.mul(1 / Math.sqrt(2), numeric.dot(M, D));
+  // The recursion interleaves frequencies; list the rows in sequency order
+  const seq = sequencyOfRowsJS(R);
+  return R.map((row, i) => ({ row, s: seq[i] }))
+    .sort((x, y) => x.s - y.s)
+    .map((r) => r.row);
+}
+
 export function kron2DFrom1DJS(T1d) {
   const N = T1d.length;
   const result = numeric.rep([N * N, N * N], 0);
@@ -76,26 +179,28 @@ export function kron2DFrom1DJS(T1d) {
 }
 
 export function pcaTransformJS(blocksFlat) {
-  const X = blocksFlat.map((row) => row.slice());
-  const numSamples = X.length;
-  const d = X[0].length;
+  const X = toBlockMatrixJS(blocksFlat);
+  const numSamples = X.rows;
+  const d = X.cols;
 
   // 1) Compute mean
   const mean = new Array(d).fill(0);
   for (let i = 0; i < numSamples; i++) {
+    const off = i * X.stride;
     for (let j = 0; j < d; j++) {
-      mean[j] += X[i][j];
+      mean[j] += X.data[off + j];
     }
   }
   for (let j = 0; j < d; j++) {
     mean[j] /= numSamples;
   }
 
-  // 2) Centered data
+  // 2) Centered data (numeric.svd wants nested arrays)
   const Xc = numeric.rep([numSamples, d], 0);
   for (let i = 0; i < numSamples; i++) {
+    const off = i * X.stride;
     for (let j = 0; j < d; j++) {
-      Xc[i][j] = X[i][j] - mean[j];
+      Xc[i][j] = X.data[off + j] - mean[j];
     }
   }
 
@@ -119,37 +224,127 @@ export function pcaTransformJS(blocksFlat) {
   return { T, mean };
 }
 
+// ======= PCA side information =======
+
+// Precisions for sending a learned basis: bits per value. "q" formats are
+// uniform quantizers over the known ranges (basis entries in [-1, 1], mean
+// in [0, 1]).
+export const PCA_SIDE_INFO_BITS = {
+  float32: 32,
+  float16: 16,
+  q12: 12,
+  q8: 8,
+};
+
+// Bits to send m basis rows of length d plus the mean vector.
+export function pcaSideInfoBitsJS(T, precision = "float32") {
+  const bits = PCA_SIDE_INFO_BITS[precision];
+  if (!bits) throw new Error("Unknown side-info precision " + precision);
+  const m = T.length;
+  const d = T[0].length;
+  return (m * d + d) * bits;
+}
+
+function roundToPrecision(x, precision, lo) {
+  if (precision === "float32") return Math.fround(x);
+  if (precision === "float16") {
+    if (x === 0) return 0;
+    const step = 2 ** (Math.floor(Math.log2(Math.abs(x))) - 10);
+    return Math.round(x / step) * step;
+  }
+  const levels = 2 ** PCA_SIDE_INFO_BITS[precision] - 1;
+  const t = Math.round(((x - lo) / (1 - lo)) * levels) / levels;
+  return lo + t * (1 - lo);
+}
+
+// The basis and mean exactly as a decoder would receive them at `precision`.
+export function quantizePcaBasisJS(T, mean, precision = "float32") {
+  return {
+    T: T.map((row) => row.map((v) => roundToPrecision(v, precision, -1))),
+    mean: mean.map((v) => roundToPrecision(v, precision, 0)),
+  };
+}
+
 // ======= Transform / inverse per block =======
 
-export function transformBlocksJS(blocksFlat, T, meanVec = null) {
-  const numBlocks = blocksFlat.length;
-  const d = blocksFlat[0].length;
+// T is either an m × d matrix (rows are basis vectors) or a separable
+// operator from fastTransforms.js.
+export function coefficientCountJS(T) {
+  return T.separable ? T.m : T.length;
+}
+
+// Row-major Float64Array copy of a nested m × d matrix
+function flattenMatrix(T) {
   const m = T.length;
-  const coeffs = numeric.rep([numBlocks, m], 0);
+  const d = T[0].length;
+  const flat = new Float64Array(m * d);
+  for (let k = 0; k < m; k++) flat.set(T[k], k * d);
+  return flat;
+}
+
+// blocksFlat: block matrix (blocks.js) or nested arrays, numBlocks × d.
+// Returns a Float64 block matrix of numBlocks × m coefficients.
+export function transformBlocksJS(blocksFlat, T, meanVec = null) {
+  const X = toBlockMatrixJS(blocksFlat);
+  const numBlocks = X.rows;
+  const d = X.cols;
+  const m = coefficientCountJS(T);
+  const coeffs = createBlockMatrixJS(numBlocks, m);
+
+  if (T.separable) {
+    for (let i = 0; i < numBlocks; i++) {
+      T.forward(blockRowJS(X, i), blockRowJS(coeffs, i), meanVec);
+    }
+    return coeffs;
+  }
 
-  const TT = numeric.transpose(T);
+  const Tf = flattenMatrix(T);
+  const x = new Float64Array(d);
   for (let i = 0; i < numBlocks; i++) {
-    const x = blocksFlat[i].slice();
-    if (meanVec) {
-      for (let j = 0; j < d; j++) x[j] -= meanVec[j];
+    const off = i * X.stride;
+    for (let j = 0; j < d; j++) {
+      x[j] = X.data[off + j] - (meanVec ? meanVec[j] : 0);
+    }
+    const out = i * m;
+    for (let k = 0; k < m; k++) {
+      let acc = 0;
+      const row = k * d;
+      for (let j = 0; j < d; j++) acc += Tf[row + j] * x[j];
+      coeffs.data[out + k] = acc;
     }
-    const y = numeric.dot(x, TT);
-    for (let j = 0; j < m; j++) coeffs[i][j] = y[j];
   }
   return coeffs;
 }
 
 export function inverseTransformBlocksJS(coeffs, T, meanVec = null) {
-  const numBlocks = coeffs.length;
-  const d = T[0].length;
-  const blocks = new Array(numBlocks);
-  for (let i = 0; i < numBlocks; i++) {
-    const y = coeffs[i];
-    const x = numeric.dot(y, T);
-    if (meanVec) {
-      for (let j = 0; j < d; j++) x[j] += meanVec[j];
+  const Y = toBlockMatrixJS(coeffs);
+  const numBlocks = Y.rows;
+  const d = T.separable ? T.d : T[0].length;
+  const m = Y.cols;
+  const blocks = createBlockMatrixJS(numBlocks, d);
+
+  if (T.separable) {
+    for (let i = 0; i < numBlocks; i++) {
+      T.inverse(blockRowJS(Y, i), blockRowJS(blocks, i));
+    }
+  } else {
+    const Tf = flattenMatrix(T);
+    for (let i = 0; i < numBlocks; i++) {
+      const inOff = i * Y.stride;
+      const out = i * d;
+      for (let k = 0; k < m; k++) {
+        const c = Y.data[inOff + k];
+        if (c === 0) continue;
+        const row = k * d;
+        for (let j = 0; j < d; j++) blocks.data[out + j] += c * Tf[row + j];
+      }
+    }
+  }
+  if (meanVec) {
+    for (let i = 0; i < numBlocks; i++) {
+      const out = i * d;
+      for (let j = 0; j < d; j++) blocks.data[out + j] += meanVec[j];
     }
-    blocks[i] = x;
   }
   return blocks;
 }
@@ -157,16 +352,19 @@ export function inverseTransformBlocksJS(coeffs, T, meanVec = null) {
 // ======= Compression: keep top-k =======
 
 export function keepTopK(coeffs, k) {
-  const numBlocks = coeffs.length;
-  const m = coeffs[0].length;
-  const Y = coeffs.map((row) => row.slice());
+  const C = toBlockMatrixJS(coeffs);
+  const numBlocks = C.rows;
+  const m = C.cols;
+  const Y = createBlockMatrixJS(numBlocks, m);
+  for (let i = 0; i < numBlocks; i++) Y.data.set(blockRowJS(C, i), i * m);
   if (k >= m) return Y;
 
+  const mags = new Float64Array(m);
   for (let i = 0; i < numBlocks; i++) {
-    const row = Y[i];
-    const mags = row.map(Math.abs);
-    const sorted = mags.slice().sort((a, b) => b - a); // descending
-    const thresh = sorted[k - 1]; // k-th largest
+    const row = blockRowJS(Y, i);
+    for (let j = 0; j < m; j++) mags[j] = Math.abs(row[j]);
+    mags.sort(); // ascending
+    const thresh = mags[m - k]; // k-th largest
     for (let j = 0; j < m; j++) {
       if (
         Math.abs(row[j]) < thresh ||
@@ -179,34 +377,129 @@ export function keepTopK(coeffs, k) {
   return Y;
 }
 
+// The K largest magnitudes over all blocks (the same total as K / numBlocks
+// per block, spread where the energy is). Ties at the threshold are kept in
+// raster order until K is reached.
+export function keepTopKGlobalJS(coeffs, K) {
+  const C = toBlockMatrixJS(coeffs);
+  const numBlocks = C.rows;
+  const m = C.cols;
+  const n = numBlocks * m;
+  const Y = createBlockMatrixJS(numBlocks, m);
+  for (let i = 0; i < numBlocks; i++) Y.data.set(blockRowJS(C, i), i * m);
+  const keep = Math.max(0, Math.min(n, Math.round(K)));
+  if (keep >= n) return Y;
+
+  const mags = Float64Array.from(Y.data, Math.abs).sort();
+  const thresh = keep > 0 ? mags[n - keep] : Infinity;
+  let ties = keep;
+  for (let i = n - keep; i < n; i++) if (mags[i] > thresh) ties--;
+  for (let i = 0; i < n; i++) {
+    const a = Math.abs(Y.data[i]);
+    if (a > thresh) continue;
+    if (a === thresh && ties > 0) ties--;
+    else Y.data[i] = 0;
+  }
+  return Y;
+}
+
+// Per block, the fewest largest coefficients whose energy reaches `fraction`
+// of the block's energy.
+export function keepEnergyFractionJS(coeffs, fraction) {
+  const C = toBlockMatrixJS(coeffs);
+  const numBlocks = C.rows;
+  const m = C.cols;
+  const Y = createBlockMatrixJS(numBlocks, m);
+  const order = new Array(m);
+  for (let i = 0; i < numBlocks; i++) {
+    const src = blockRowJS(C, i);
+    const row = blockRowJS(Y, i);
+    let total = 0;
+    for (let j = 0; j < m; j++) {
+      order[j] = j;
+      total += src[j] * src[j];
+    }
+    order.sort((a, b) => Math.abs(src[b]) - Math.abs(src[a]));
+    const target = fraction * total;
+    let partial = 0;
+    for (let r = 0; r < m && partial < target; r++) {
+      const j = order[r];
+      row[j] = src[j];
+      partial += src[j] * src[j];
+    }
+  }
+  return Y;
+}
+
+// Every block keeps the first k positions of `order`, whatever their size.
+export function keepZonalJS(coeffs, order, k) {
+  const C = toBlockMatrixJS(coeffs);
+  const numBlocks = C.rows;
+  const m = C.cols;
+  const Y = createBlockMatrixJS(numBlocks, m);
+  const mask = order.slice(0, Math.max(0, Math.round(k)));
+  for (let i = 0; i < numBlocks; i++) {
+    const src = blockRowJS(C, i);
+    const row = blockRowJS(Y, i);
+    for (const j of mask) row[j] = src[j];
+  }
+  return Y;
+}
+
+// Scan for coding a zonal selection: only the mask positions, in the order
+// of `scan`, since the decoder knows the rest are zero. Other allocations
+// code the full scan.
+export function zonalScanJS(scan, k, allocation) {
+  if (!Array.isArray(allocation)) return scan;
+  const mask = new Set(allocation.slice(0, Math.max(1, Math.round(k))));
+  return scan.filter((pos) => mask.has(pos));
+}
+
+// How the top-k path picks coefficients: "block" keeps k per block, "global"
+// keeps k × numBlocks over the image, "energy" treats k as a per-block
+// energy fraction. An array of positions in priority order is a zonal mask
+// (keepZonalJS); zonal.js builds them for the "zonal-*" modes.
+export const ALLOCATION_MODES = ["block", "global", "energy"];
+
+export function selectCoefficientsJS(coeffs, k, allocation = "block") {
+  if (Array.isArray(allocation)) return keepZonalJS(coeffs, allocation, k);
+  if (allocation === "global") {
+    return keepTopKGlobalJS(coeffs, k * toBlockMatrixJS(coeffs).rows);
+  }
+  if (allocation === "energy") return keepEnergyFractionJS(coeffs, k);
+  return keepTopK(coeffs, k);
+}
+
 // ======= Energy compaction =======
 
 export function energyCompactionCurveJS(coeffs, maxK) {
-  const numBlocks = coeffs.length;
-  const m = coeffs[0].length;
+  const C = toBlockMatrixJS(coeffs);
+  const numBlocks = C.rows;
+  const m = C.cols;
   if (!maxK) maxK = m;
   const ks = [];
-  const avgFrac = [];
-
-  const sortedSq = [];
-  const totalEnergy = new Array(numBlocks);
+  const sumFrac = new Float64Array(maxK);
 
+  const sq = new Float64Array(m);
   for (let i = 0; i < numBlocks; i++) {
-    const sq = coeffs[i].map((v) => v * v);
-    sq.sort((a, b) => b - a);
-    sortedSq[i] = sq;
-    totalEnergy[i] = sq.reduce((acc, v) => acc + v, 0) + 1e-12;
+    const row = blockRowJS(C, i);
+    let total = 1e-12;
+    for (let j = 0; j < m; j++) {
+      sq[j] = row[j] * row[j];
+      total += sq[j];
+    }
+    sq.sort().reverse(); // descending
+    let partial = 0;
+    for (let k = 0; k < maxK; k++) {
+      partial += sq[k];
+      sumFrac[k] += partial / total;
+    }
   }
 
+  const avgFrac = [];
   for (let k = 1; k <= maxK; k++) {
-    let sumFrac = 0;
-    for (let i = 0; i < numBlocks; i++) {
-      let partial = 0;
-      for (let j = 0; j < k; j++) partial += sortedSq[i][j];
-      sumFrac += partial / totalEnergy[i];
-    }
     ks.push(k);
-    avgFrac.push(sumFrac / numBlocks);
+    avgFrac.push(sumFrac[k - 1] / numBlocks);
   }
 
   return { ks, avgFrac };
@@ -214,6 +507,38 @@ export function energyCompactionCurveJS(coeffs, maxK) {
 
 // ======= Rate–distortion =======
 
+// Integer levels for one operating point: coefficients kept by
+// selectCoefficientsJS at TOPK_STEP, or the whole block through a
+// quality-scaled table.
+export function quantizeOperatingPointJS(
+  coeffs,
+  k,
+  quant = null,
+  allocation = "block"
+) {
+  if (quant) {
+    const steps = qualityScaledTableJS(quant.table, k);
+    return { levels: quantizeCoeffsJS(coeffs, steps, quant.quantizer), steps };
+  }
+  const steps = new Array(toBlockMatrixJS(coeffs).cols).fill(TOPK_STEP);
+  const kept = selectCoefficientsJS(coeffs, k, allocation);
+  return { levels: quantizeCoeffsJS(kept, steps), steps };
+}
+
+// kValues are numbers of kept coefficients per block (energy fractions when
+// options.allocation is "energy"), or quality factors (1..100) when
+// options.quant = { table, quantizer } is given. Either way the
+// surviving coefficients are quantized (top-k uses the fine TOPK_STEP) and
+// entropy coded along options.scan, so `rates` are real bits per pixel.
+// `fractions` keeps the old k / d style axis (share of nonzero coefficients).
+// A zonal `allocation` (array of positions) codes only the mask positions.
+// options.metrics lists extra metric keys (metrics.js) to evaluate per point;
+// their values come back in `metrics`, keyed the same way.
+// options.sideInfoPrecision (PCA_SIDE_INFO_BITS key) charges the cost of
+// sending T and meanVec to every point; `payloadRates` are the rates without
+// it. Quantize the basis first (quantizePcaBasisJS) so the distortion is the
+// decoder's. options.sideBits adds any other per-image side information
+// (a zonal-variance mask) the same way.
 export function rateDistortionJS(
   imgGray,
   width,
@@ -222,28 +547,85 @@ export function rateDistortionJS(
   shape,
   T,
   meanVec,
-  kValues
+  kValues,
+  options = {}
 ) {
-  const d = blocksFlat[0].length;
+  const m = coefficientCountJS(T);
+  const {
+    quant = null,
+    scan = identityScanJS(m),
+    metrics = [],
+    onProgress = null,
+    sideInfoPrecision = null,
+    allocation = "block",
+    sideBits = 0,
+  } = options;
   const coeffs = transformBlocksJS(blocksFlat, T, meanVec);
+  const sideBpp =
+    ((sideInfoPrecision ? pcaSideInfoBitsJS(T, sideInfoPrecision) : 0) +
+      sideBits) /
+    (width * height);
   const rates = [];
+  const payloadRates = [];
   const psnrs = [];
+  const fractions = [];
+  const metricValues = Object.fromEntries(metrics.map((key) => [key, []]));
 
-  for (const k of kValues) {
-    const Yk = keepTopK(coeffs, k);
+  for (let ki = 0; ki < kValues.length; ki++) {
+    const k = kValues[ki];
+    const { levels, steps } = quantizeOperatingPointJS(
+      coeffs,
+      k,
+      quant,
+      allocation
+    );
+    const Yk = dequantizeCoeffsJS(levels, steps);
     const blocksRec = inverseTransformBlocksJS(Yk, T, meanVec);
     const grayRec = reconstructFromBlocksJS(blocksRec, shape, width, height);
     for (let i = 0; i < grayRec.length; i++) {
       if (grayRec[i] < 0) grayRec[i] = 0;
       if (grayRec[i] > 1) grayRec[i] = 1;
     }
-    const P = psnrJS(imgGray, grayRec);
-    rates.push(k / d);
-    psnrs.push(P);
+    psnrs.push(psnrJS(imgGray, grayRec));
+    const pointScan = quant ? scan : zonalScanJS(scan, k, allocation);
+    const bpp = bitsPerPixelJS(levels, pointScan, width * height);
+    payloadRates.push(bpp);
+    rates.push(bpp + sideBpp);
+    fractions.push(nonzeroFractionJS(levels));
+    if (metrics.length) {
+      const vals = evaluateMetricsJS(
+        imgGray,
+        grayRec,
+        width,
+        height,
+        shape.B,
+        metrics
+      );
+      for (const key of metrics) metricValues[key].push(vals[key]);
+    }
+    if (onProgress) onProgress(ki);
   }
 
-  return { rates, psnrs };
+  return {
+    rates,
+    payloadRates,
+    sideInfoBpp: sideBpp,
+    psnrs,
+    fractions,
+    metrics: metricValues,
+  };
 }
 // We need reconstructFromBlocksJS here; either import from imageUtils,
 // or if you prefer keep RD stuff in App.jsx and just export transform functions.
 import { reconstructFromBlocksJS } from "./imageUtils";
+import {
+  sequencyOfRowsJS,
+  qualityScaledTableJS,
+  quantizeCoeffsJS,
+  dequantizeCoeffsJS,
+  nonzeroFractionJS,
+  TOPK_STEP,
+} from "./quantization";
+import { bitsPerPixelJS, identityScanJS } from "./entropy";
+import { evaluateMetricsJS } from "./metrics";
+import { createBlockMatrixJS, blockRowJS, toBlockMatrixJS } from "./blocks";
@@ -0,0 +1,366 @@
+// src/lib/wavelet.js
+// Full-image 2D discrete wavelet transform (Mallat pyramid), the non-block
+// counterpart of the block transforms. Filters are implemented by lifting
+// with whole-sample symmetric extension, so any image size works and there
+// is no border to pad.
+import { psnrJS } from "./transforms";
+import { createBlockMatrixJS } from "./blocks";
+import {
+  quantizeCoeffsJS,
+  dequantizeCoeffsJS,
+  TOPK_STEP,
+} from "./quantization";
+import { entropyEncodeLevelsJS } from "./entropy";
+import { evaluateMetricsJS } from "./metrics";
+
+// ======= Filters =======
+
+// Lifting steps: "predict" updates odd samples from their even neighbors,
+// "update" updates even samples from their odd neighbors. The final scaling
+// makes the Haar and CDF 9/7 bands near-orthonormal on even lengths, so
+// coefficient energy matches pixel energy and one quantizer step suits
+// every subband (LeGall 5/3 is further from orthogonal, up to ~1.5×). The
+// symmetric extension breaks this near the borders: on small or odd-sized
+// images (37×29, say) CDF 9/7 runs ~15-20% above pixel energy.
+export const WAVELETS = {
+  haar: {
+    label: "Haar",
+    steps: [
+      { type: "predict", coeffs: [-1, 0] },
+      { type: "update", coeffs: [0, 0.5] },
+    ],
+    scaleLow: Math.SQRT2,
+    scaleHigh: 1 / Math.SQRT2,
+  },
+  cdf97: {
+    label: "CDF 9/7",
+    steps: [
+      { type: "predict", coeffs: [-1.586134342059924, -1.586134342059924] },
+      { type: "update", coeffs: [-0.052980118572961, -0.052980118572961] },
+      { type: "predict", coeffs: [0.882911075530934, 0.882911075530934] },
+      { type: "update", coeffs: [0.443506852043971, 0.443506852043971] },
+    ],
+    scaleLow: 1.149604398860241,
+    scaleHigh: 1 / 1.149604398860241,
+  },
+  legall53: {
+    label: "LeGall 5/3",
+    steps: [
+      { type: "predict", coeffs: [-0.5, -0.5] },
+      { type: "update", coeffs: [0.25, 0.25] },
+    ],
+    scaleLow: Math.SQRT2,
+    scaleHigh: 1 / Math.SQRT2,
+  },
+};
+
+// ======= 1D lifting =======
+
+// Neighbor index with whole-sample symmetric extension of the signal
+const clampIndex = (i, n) => (i < 0 ? 0 : i >= n ? n - 1 : i);
+
+// On an odd length the last low-band sample has no high-band partner; it
+// stands for one input sample, not two, and gets √2 less gain.
+const lowScale = (i, nd, wavelet) =>
+  i === nd ? wavelet.scaleLow / Math.SQRT2 : wavelet.scaleLow;
+
+// predict: d[i] += c0·s[i] + c1·s[i+1];  update: s[i] += c0·d[i-1] + c1·d[i]
+function liftForward(s, d, ns, nd, wavelet) {
+  for (const step of wavelet.steps) {
+    const [c0, c1] = step.coeffs;
+    if (step.type === "predict") {
+      for (let i = 0; i < nd; i++) {
+        d[i] += c0 * s[i] + c1 * s[clampIndex(i + 1, ns)];
+      }
+    } else if (nd > 0) {
+      for (let i = 0; i < ns; i++) {
+        s[i] += c0 * d[clampIndex(i - 1, nd)] + c1 * d[clampIndex(i, nd)];
+      }
+    }
+  }
+  for (let i = 0; i < ns; i++) s[i] *= lowScale(i, nd, wavelet);
+  for (let i = 0; i < nd; i++) d[i] *= wavelet.scaleHigh;
+}
+
+function liftInverse(s, d, ns, nd, wavelet) {
+  for (let i = 0; i < ns; i++) s[i] /= lowScale(i, nd, wavelet);
+  for (let i = 0; i < nd; i++) d[i] /= wavelet.scaleHigh;
+  for (let k = wavelet.steps.length - 1; k >= 0; k--) {
+    const step = wavelet.steps[k];
+    const [c0, c1] = step.coeffs;
+    if (step.type === "predict") {
+      for (let i = 0; i < nd; i++) {
+        d[i] -= c0 * s[i] + c1 * s[clampIndex(i + 1, ns)];
+      }
+    } else if (nd > 0) {
+      for (let i = 0; i < ns; i++) {
+        s[i] -= c0 * d[clampIndex(i - 1, nd)] + c1 * d[clampIndex(i, nd)];
+      }
+    }
+  }
+}
+
+// Transform `n` samples of `data` starting at `off`, `step` apart, in place:
+// low band first (ceil(n / 2) samples), then the high band.
+function forward1D(data, off, step, n, wavelet, s, d) {
+  if (n < 2) return;
+  const ns = Math.ceil(n / 2);
+  const nd = Math.floor(n / 2);
+  for (let i = 0; i < ns; i++) s[i] = data[off + 2 * i * step];
+  for (let i = 0; i < nd; i++) d[i] = data[off + (2 * i + 1) * step];
+  liftForward(s, d, ns, nd, wavelet);
+  for (let i = 0; i < ns; i++) data[off + i * step] = s[i];
+  for (let i = 0; i < nd; i++) data[off + (ns + i) * step] = d[i];
+}
+
+function inverse1D(data, off, step, n, wavelet, s, d) {
+  if (n < 2) return;
+  const ns = Math.ceil(n / 2);
+  const nd = Math.floor(n / 2);
+  for (let i = 0; i < ns; i++) s[i] = data[off + i * step];
+  for (let i = 0; i < nd; i++) d[i] = data[off + (ns + i) * step];
+  liftInverse(s, d, ns, nd, wavelet);
+  for (let i = 0; i < ns; i++) data[off + 2 * i * step] = s[i];
+  for (let i = 0; i < nd; i++) data[off + (2 * i + 1) * step] = d[i];
+}
+
+// ======= 2D pyramid =======
+
+// The LL band grows by 2× per level; beyond 6 levels its levels at TOPK_STEP
+// exceed the amplitude categories of the entropy coder.
+export const MAX_WAVELET_LEVELS = 6;
+
+// Most levels for which the coarsest band is still at least 2×2
+export function maxWaveletLevelsJS(width, height) {
+  let levels = 0;
+  let w = width;
+  let h = height;
+  while (levels < MAX_WAVELET_LEVELS && Math.min(w, h) >= 4) {
+    w = Math.ceil(w / 2);
+    h = Math.ceil(h / 2);
+    levels++;
+  }
+  return levels;
+}
+
+// Size of the LL band after each level, starting with the full image
+function levelSizes(width, height, levels) {
+  const sizes = [{ w: width, h: height }];
+  for (let l = 0; l < levels; l++) {
+    const { w, h } = sizes[sizes.length - 1];
+    sizes.push({ w: Math.ceil(w / 2), h: Math.ceil(h / 2) });
+  }
+  return sizes;
+}
+
+// Subband rectangles in the mosaic layout, coarsest first (LL, then the HL,
+// LH, HH details of the coarsest level, and so on).
+export function waveletSubbandsJS(width, height, levels) {
+  const sizes = levelSizes(width, height, levels);
+  const top = sizes[levels];
+  const bands = [
+    { level: levels, orient: "LL", x: 0, y: 0, w: top.w, h: top.h },
+  ];
+  for (let l = levels; l >= 1; l--) {
+    const { w, h } = sizes[l - 1];
+    const lw = Math.ceil(w / 2);
+    const lh = Math.ceil(h / 2);
+    bands.push(
+      { level: l, orient: "HL", x: lw, y: 0, w: w - lw, h: lh },
+      { level: l, orient: "LH", x: 0, y: lh, w: lw, h: h - lh },
+      { level: l, orient: "HH", x: lw, y: lh, w: w - lw, h: h - lh }
+    );
+  }
+  return bands;
+}
+
+// Rows then columns at every level, always on the current LL band. Returns
+// the coefficients in mosaic layout (same size as the image).
+export function dwt2DJS(gray, width, height, levels, waveletId = "cdf97") {
+  const wavelet = WAVELETS[waveletId];
+  const coeffs = Float64Array.from(gray);
+  const s = new Float64Array(Math.ceil(Math.max(width, height) / 2));
+  const d = new Float64Array(Math.ceil(Math.max(width, height) / 2));
+  const sizes = levelSizes(width, height, levels);
+  for (let l = 0; l < levels; l++) {
+    const { w, h } = sizes[l];
+    for (let y = 0; y < h; y++)
+      forward1D(coeffs, y * width, 1, w, wavelet, s, d);
+    for (let x = 0; x < w; x++) forward1D(coeffs, x, width, h, wavelet, s, d);
+  }
+  return { coeffs, width, height, levels, wavelet: waveletId };
+}
+
+export function idwt2DJS({
+  coeffs,
+  width,
+  height,
+  levels,
+  wavelet: waveletId,
+}) {
+  const wavelet = WAVELETS[waveletId];
+  const out = Float64Array.from(coeffs);
+  const s = new Float64Array(Math.ceil(Math.max(width, height) / 2));
+  const d = new Float64Array(Math.ceil(Math.max(width, height) / 2));
+  const sizes = levelSizes(width, height, levels);
+  for (let l = levels - 1; l >= 0; l--) {
+    const { w, h } = sizes[l];
+    for (let x = 0; x < w; x++) inverse1D(out, x, width, h, wavelet, s, d);
+    for (let y = 0; y < h; y++) inverse1D(out, y * width, 1, w, wavelet, s, d);
+  }
+  const gray = new Float32Array(width * height);
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = out[i] < 0 ? 0 : out[i] > 1 ? 1 : out[i];
+  }
+  return gray;
+}
+
+// ======= Thresholding and coding =======
+
+// Keep the `keepFraction` largest-magnitude coefficients of the whole
+// image and zero the rest (global hard thresholding).
+export function thresholdWaveletJS(coeffs, keepFraction) {
+  const n = coeffs.length;
+  const keep = Math.max(1, Math.min(n, Math.round(keepFraction * n)));
+  const out = Float64Array.from(coeffs);
+  if (keep >= n) return out;
+  const mags = Float64Array.from(coeffs, Math.abs).sort();
+  const thresh = mags[n - keep];
+  // ties at the threshold are kept in raster order until `keep` is reached
+  let ties = keep;
+  for (let i = n - keep; i < n; i++) if (mags[i] > thresh) ties--;
+  for (let i = 0; i < n; i++) {
+    const a = Math.abs(out[i]);
+    if (a > thresh) continue;
+    if (a === thresh && ties > 0) ties--;
+    else out[i] = 0;
+  }
+  return out;
+}
+
+// Share of coefficients (largest first) needed to reach `fraction` of the
+// total energy, the image-wide analogue of keepEnergyFractionJS.
+export function energyKeepFractionJS(coeffs, fraction) {
+  const sq = Float64Array.from(coeffs, (c) => c * c)
+    .sort()
+    .reverse();
+  let total = 0;
+  for (const v of sq) total += v;
+  let partial = 0;
+  let kept = 0;
+  while (kept < sq.length && partial < fraction * total) partial += sq[kept++];
+  return kept / sq.length;
+}
+
+// Coarse-to-fine coefficient order (LL, then each level's details), the
+// order used for entropy coding so zero runs group inside subbands.
+export function waveletScanOrderJS(width, height, levels) {
+  const order = [];
+  for (const b of waveletSubbandsJS(width, height, levels)) {
+    for (let y = b.y; y < b.y + b.h; y++) {
+      for (let x = b.x; x < b.x + b.w; x++) order.push(y * width + x);
+    }
+  }
+  return order;
+}
+
+// One operating point: global top-fraction thresholding at TOPK_STEP (the
+// fraction given directly or as an energy target), or a single uniform /
+// deadzone step for every subband. Rate is the coded size
+// of the levels in coarse-to-fine order, with the same arithmetic coder
+// as the block transforms.
+export function waveletOperatingPointJS(
+  dwt,
+  { keepFraction, energyFraction, step, quantizer }
+) {
+  const { width, height, levels } = dwt;
+  const n = width * height;
+  const fraction =
+    energyFraction !== undefined
+      ? energyKeepFractionJS(dwt.coeffs, energyFraction)
+      : keepFraction;
+  const src = step ? dwt.coeffs : thresholdWaveletJS(dwt.coeffs, fraction);
+  const qStep = step || TOPK_STEP;
+  const steps = new Array(n).fill(qStep);
+  const row = createBlockMatrixJS(1, n);
+  row.data.set(src);
+  const levelsM = quantizeCoeffsJS(row, steps, step ? quantizer : "uniform");
+  const scan = waveletScanOrderJS(width, height, levels);
+  const { bits } = entropyEncodeLevelsJS(levelsM, scan);
+  const rec = dequantizeCoeffsJS(levelsM, steps);
+  let nonzero = 0;
+  for (const l of levelsM.data) if (l !== 0) nonzero++;
+  return {
+    gray: idwt2DJS({ ...dwt, coeffs: rec.data }),
+    bpp: bits / n,
+    keptFraction: nonzero / n,
+  };
+}
+
+// RD curve over keep fractions (or steps), same result shape as
+// rateDistortionJS.
+export function waveletRateDistortionJS(
+  imgGray,
+  dwt,
+  points,
+  metrics = [],
+  B = 8,
+  onProgress = null
+) {
+  const rates = [];
+  const psnrs = [];
+  const fractions = [];
+  const metricValues = Object.fromEntries(metrics.map((key) => [key, []]));
+  points.forEach((point, i) => {
+    const { gray, bpp, keptFraction } = waveletOperatingPointJS(dwt, point);
+    rates.push(bpp);
+    psnrs.push(psnrJS(imgGray, gray));
+    fractions.push(keptFraction);
+    if (metrics.length) {
+      const vals = evaluateMetricsJS(
+        imgGray,
+        gray,
+        dwt.width,
+        dwt.height,
+        B,
+        metrics
+      );
+      for (const key of metrics) metricValues[key].push(vals[key]);
+    }
+    if (onProgress) onProgress(i);
+  });
+  return { rates, psnrs, fractions, metrics: metricValues };
+}
+
+// ======= Visualization =======
+
+// Subband mosaic in [0, 1]: LL stretched to its own range, details shown as
+// |c| relative to each band's maximum (square-root scaled so weak detail
+// stays visible).
+export function waveletMosaicJS(dwt) {
+  const { coeffs, width, height, levels } = dwt;
+  const out = new Float32Array(width * height);
+  for (const b of waveletSubbandsJS(width, height, levels)) {
+    let lo = Infinity;
+    let hi = -Infinity;
+    let maxAbs = 0;
+    for (let y = b.y; y < b.y + b.h; y++) {
+      for (let x = b.x; x < b.x + b.w; x++) {
+        const v = coeffs[y * width + x];
+        lo = Math.min(lo, v);
+        hi = Math.max(hi, v);
+        maxAbs = Math.max(maxAbs, Math.abs(v));
+      }
+    }
+    for (let y = b.y; y < b.y + b.h; y++) {
+      for (let x = b.x; x < b.x + b.w; x++) {
+        const i = y * width + x;
+        out[i] =
+          b.orient === "LL"
+            ? (coeffs[i] - lo) / (hi - lo || 1)
+            : Math.sqrt(Math.abs(coeffs[i]) / (maxAbs || 1));
+      }
+    }
+  }
+  return out;
+}
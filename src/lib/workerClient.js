@@ -0,0 +1,147 @@
+// src/lib/workerClient.js
+// Promise wrapper around the analysis worker. One request runs at a time;
+// cancel() terminates the worker mid-computation and the next request
+// starts a fresh one.
+
+// setup() may return a { type, payload } request posted to every freshly
+// spawned worker ahead of the first run, to restore worker-side state.
+export function createAnalysisWorkerClient({ setup = () => null } = {}) {
+  let worker = null;
+  let pending = null;
+  let nextId = 1;
+
+  function spawn() {
+    worker = new Worker(
+      new URL("../workers/analysisWorker.js", import.meta.url),
+      { type: "module" }
+    );
+    worker.onmessage = (e) => {
+      const msg = e.data;
+      if (!pending || msg.id !== pending.id) return;
+      if (msg.type === "progress") {
+        pending.onProgress({ message: msg.message, fraction: msg.fraction });
+        return;
+      }
+      const { resolve, reject } = pending;
+      pending = null;
+      if (msg.type === "result") resolve(msg.result);
+      else reject(new Error(msg.message));
+    };
+    worker.onerror = (e) => {
+      e.preventDefault();
+      const p = pending;
+      pending = null;
+      worker.terminate();
+      worker = null;
+      if (p) p.reject(new Error(e.message || "Analysis worker failed"));
+    };
+    const init = setup();
+    if (init) worker.postMessage({ id: nextId++, ...init });
+  }
+
+  // `transfer` lists buffers of the payload to move instead of copy; the
+  // caller must not use them afterwards.
+  function run(type, payload, { onProgress = () => {}, transfer = [] } = {}) {
+    if (pending) cancel();
+    if (!worker) spawn();
+    const id = nextId++;
+    return new Promise((resolve, reject) => {
+      pending = { id, resolve, reject, onProgress };
+      worker.postMessage({ id, type, payload }, transfer);
+    });
+  }
+
+  function cancel() {
+    if (!worker) return;
+    worker.terminate();
+    worker = null;
+    if (pending) {
+      const err = new Error("Cancelled");
+      err.name = "AbortError";
+      pending.reject(err);
+      pending = null;
+    }
+  }
+
+  return { run, cancel };
+}
+
+// ======= Live k =======
+
+// The live k slider on its own worker, so a settle can be cancelled without
+// losing the analysis worker. The worker keeps the session (analysis.live
+// with the image's gray plane) and is re-primed with it after every cancel.
+// show(k) is latest-wins: one reconstruction runs at a time, and the
+// entropy coding and metrics of the last k follow once the slider has been
+// still for settleMs; moving it again cancels them.
+export function createLiveKClient(settleMs) {
+  let session = null;
+  let shown = null;
+  let wanted = null;
+  let busy = false;
+  let settle = null;
+  let handlers = null;
+  const client = createAnalysisWorkerClient({
+    setup: () => session && { type: "liveSession", payload: session },
+  });
+
+  const report = (err) => {
+    if (err.name !== "AbortError") handlers.onError(err);
+  };
+
+  async function code(k, current) {
+    try {
+      const coded = await client.run("liveCoding", { k });
+      if (current === session) handlers.onCoded(coded);
+    } catch (err) {
+      report(err);
+    }
+  }
+
+  async function next() {
+    if (busy || wanted === null) return;
+    const k = wanted;
+    wanted = null;
+    if (k === shown || !session) return;
+    const current = session;
+    busy = true;
+    try {
+      // Also cancels a coding run still going for an earlier k
+      const frame = await client.run("liveFrame", { k });
+      if (current !== session) return;
+      shown = k;
+      handlers.onFrame(frame);
+      if (wanted === null)
+        settle = setTimeout(() => code(k, current), settleMs);
+    } catch (err) {
+      report(err);
+    } finally {
+      busy = false;
+      next();
+    }
+  }
+
+  // session: analysis.live plus imgGray, at the analysis' k; null drops it
+  function setSession(next, k = null) {
+    session = next;
+    shown = k;
+    wanted = null;
+    clearTimeout(settle);
+    client.cancel();
+  }
+
+  // handlers: { onFrame({ k, recs }), onCoded({ k, coded }), onError(err) }
+  function show(k, nextHandlers) {
+    handlers = nextHandlers;
+    if (k === shown && !busy) {
+      // Already on screen; a pending settle for it keeps running
+      wanted = null;
+      return;
+    }
+    wanted = k;
+    clearTimeout(settle);
+    next();
+  }
+
+  return { setSession, show, cancel: () => setSession(null) };
+}
@@ -0,0 +1,83 @@
+// src/lib/zonal.js
+// Zonal selection: every block keeps the same fixed set of coefficient
+// positions instead of its own largest ones, so no per-block position
+// information has to be coded. A mask is the first k positions of a
+// priority order; only the variance mask depends on the image and is sent
+// once as side information.
+import { coefficientCountJS } from "./transforms";
+import { frequencyRankOfRowsJS } from "./quantization";
+import { identityScanJS } from "./entropy";
+import { toBlockMatrixJS } from "./blocks";
+
+// Allocation modes (see selectCoefficientsJS) that pick a zonal mask
+export const ZONAL_MASKS = {
+  "zonal-zigzag": { label: "Zonal: zigzag first k" },
+  "zonal-triangle": { label: "Zonal: triangular low-pass" },
+  "zonal-variance": { label: "Zonal: highest variance" },
+};
+
+export function isZonalAllocationJS(allocation) {
+  return Object.hasOwn(ZONAL_MASKS, allocation);
+}
+
+// Low-frequency triangle over the frequency ranks of a separable basis:
+// anti-diagonal by anti-diagonal (ru + rv), each filled from its centre
+// outwards, so every prefix is as close to a symmetric triangle as it gets.
+export function triangularOrderJS(T1d) {
+  const B = T1d.length;
+  const rank = frequencyRankOfRowsJS(T1d);
+  const positions = [];
+  for (let u = 0; u < B; u++) {
+    for (let v = 0; v < B; v++) {
+      positions.push({ pos: u * B + v, ru: rank[u], rv: rank[v] });
+    }
+  }
+  positions.sort(
+    (a, b) =>
+      a.ru + a.rv - (b.ru + b.rv) ||
+      Math.abs(a.ru - a.rv) - Math.abs(b.ru - b.rv) ||
+      a.ru - b.ru
+  );
+  return positions.map(({ pos }) => pos);
+}
+
+// Positions sorted by decreasing variance over all blocks of the image. The
+// decoder needs the resulting mask as side information (zonalMaskBitsJS).
+export function varianceOrderJS(coeffs) {
+  const C = toBlockMatrixJS(coeffs);
+  const m = C.cols;
+  const sum = new Float64Array(m);
+  const sumSq = new Float64Array(m);
+  for (let i = 0; i < C.rows; i++) {
+    const off = i * C.stride;
+    for (let j = 0; j < m; j++) {
+      const x = C.data[off + j];
+      sum[j] += x;
+      sumSq[j] += x * x;
+    }
+  }
+  const n = C.rows || 1;
+  const variance = Array.from(sum, (s, j) => sumSq[j] / n - (s / n) ** 2);
+  return identityScanJS(m).sort((a, b) => variance[b] - variance[a] || a - b);
+}
+
+// Side information bits of a zonal mask over m coefficient positions: the
+// variance mask is sent as one bit per position, in whole bytes as the file
+// stores it; the fixed masks follow from the transform and k.
+export function zonalMaskBitsJS(allocation, m) {
+  return allocation === "zonal-variance" ? 8 * Math.ceil(m / 8) : 0;
+}
+
+// Priority order of a method (from buildMethodsJS) for a zonal allocation.
+// Zigzag follows the method's own scan; bases without a 1D factor (PCA) are
+// already in variance order, so their triangle is the first k components.
+export function zonalOrderJS(method, allocation, coeffs = method.coeffs) {
+  if (allocation === "zonal-zigzag") return method.scan;
+  if (allocation === "zonal-triangle") {
+    return method.T1d
+      ? triangularOrderJS(method.T1d)
+      : identityScanJS(coefficientCountJS(method.T));
+  }
+  if (allocation === "zonal-variance") return varianceOrderJS(coeffs);
+  throw new Error("Unknown zonal mask " + allocation);
+}
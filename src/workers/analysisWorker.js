@@ -0,0 +1,86 @@
+// src/workers/analysisWorker.js
+// Runs the transform library off the main thread. Requests are
+// { id, type, payload }; replies are progress messages followed by exactly
+// one "result" or "error" message with the same id.
+import {
+  runAnalysisJS,
+  runSweepJS,
+  prepareLiveSessionJS,
+  liveFrameJS,
+  liveCodingJS,
+} from "../lib/analysis";
+import { trainCorpusPcaJS } from "../lib/pcaCorpus";
+import { runCorpusSweepJS } from "../lib/corpusSweep";
+
+// The live k session this worker was primed with, and its last frame
+let liveSession = null;
+let liveFrame = null;
+
+function requireLiveSession() {
+  if (!liveSession) throw new Error("No live session");
+  return liveSession;
+}
+
+const HANDLERS = {
+  analysis: ({ image, settings }, onProgress) =>
+    runAnalysisJS(image, settings, onProgress),
+  sweep: ({ image, options }, onProgress) =>
+    runSweepJS(image, options, onProgress),
+  corpusSweep: ({ images, options }, onProgress) =>
+    runCorpusSweepJS(images, options, onProgress),
+  trainPca: ({ images, B, padMode }, onProgress) =>
+    trainCorpusPcaJS(images, B, padMode, onProgress),
+  liveSession: (session) => {
+    liveSession = prepareLiveSessionJS(session);
+    liveFrame = null;
+    return null;
+  },
+  // Only gray and PSNR go back; copies, since the frame stays cached here
+  // for the coding that follows.
+  liveFrame: ({ k }) => {
+    liveFrame = liveFrameJS(requireLiveSession(), k);
+    const recs = Object.fromEntries(
+      Object.entries(liveFrame.recs).map(([id, rec]) => [
+        id,
+        { gray: rec.gray.slice(), psnr: rec.psnr },
+      ])
+    );
+    return { k, recs };
+  },
+  // The cached frame's levels move to the main thread with the result
+  liveCoding: ({ k }) => {
+    const session = requireLiveSession();
+    const frame = liveFrame?.k === k ? liveFrame : liveFrameJS(session, k);
+    liveFrame = null;
+    return liveCodingJS(session, frame);
+  },
+};
+
+// Typed-array buffers reachable from a result, each listed once, so large
+// images move back to the main thread without a copy.
+function collectTransferables(value, out = new Set()) {
+  if (ArrayBuffer.isView(value)) {
+    out.add(value.buffer);
+  } else if (Array.isArray(value)) {
+    for (const v of value) collectTransferables(v, out);
+  } else if (value && typeof value === "object") {
+    for (const v of Object.values(value)) collectTransferables(v, out);
+  }
+  return out;
+}
+
+self.onmessage = (e) => {
+  const { id, type, payload } = e.data;
+  const handler = HANDLERS[type];
+  try {
+    if (!handler) throw new Error("Unknown request type " + type);
+    const result = handler(payload, ({ message, fraction }) =>
+      self.postMessage({ id, type: "progress", message, fraction })
+    );
+    self.postMessage({ id, type: "result", result }, [
+      ...collectTransferables(result),
+    ]);
+  } catch (err) {
+    self.postMessage({ id, type: "error", message: err.message });
+  }
+};